@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "emailVerifiedAt" TIMESTAMP(3);
+
+-- Existing accounts predate email verification and are treated as verified
+UPDATE "User" SET "emailVerifiedAt" = "createdAt";
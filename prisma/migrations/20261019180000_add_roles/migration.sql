@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "Role" (
+    "id" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "permissions" TEXT[],
+    "level" INTEGER NOT NULL,
+    "isSystem" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Role_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Role_organizationId_name_key" ON "Role"("organizationId", "name");
+
+-- AddForeignKey
+ALTER TABLE "Role" ADD CONSTRAINT "Role_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the default roles into every existing organization (same as DEFAULT_ROLES in src/utils/permissions.js)
+INSERT INTO "Role" ("id", "organizationId", "name", "description", "permissions", "level", "isSystem", "updatedAt")
+SELECT gen_random_uuid()::text, o."id", r."name", r."description", r."permissions", r."level", true, CURRENT_TIMESTAMP
+FROM "Organization" o
+CROSS JOIN (VALUES
+    ('SUPER_ADMIN', 'Full access to the organization', ARRAY['project.view.all', 'project.create', 'project.edit', 'project.delete', 'task.manage', 'task.edit.any', 'task.comment', 'finance.view', 'finance.edit', 'finance.export', 'user.view', 'user.invite', 'user.manage', 'team.manage', 'role.manage', 'organization.manage', 'organization.delete']::TEXT[], 100),
+    ('ADMIN', 'Manages projects, finances, users and teams', ARRAY['project.view.all', 'project.create', 'project.edit', 'project.delete', 'task.manage', 'task.edit.any', 'task.comment', 'finance.view', 'finance.edit', 'finance.export', 'user.view', 'user.invite', 'user.manage', 'team.manage']::TEXT[], 75),
+    ('TEAM_LEADER', 'Leads projects and manages their tasks', ARRAY['project.edit', 'task.manage', 'task.comment', 'finance.export']::TEXT[], 50),
+    ('EMPLOYEE', 'Works on assigned tasks', ARRAY['task.comment']::TEXT[], 10)
+) AS r("name", "description", "permissions", "level");
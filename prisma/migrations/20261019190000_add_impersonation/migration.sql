@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN     "impersonatorId" TEXT;
+
+-- CreateTable
+CREATE TABLE "ImpersonationLog" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "impersonatorId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "statusCode" INTEGER NOT NULL,
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ImpersonationLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImpersonationLog_organizationId_createdAt_idx" ON "ImpersonationLog"("organizationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ImpersonationLog_sessionId_idx" ON "ImpersonationLog"("sessionId");
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN     "ip" TEXT,
+ADD COLUMN     "userAgent" TEXT;
+
+-- CreateTable
+CREATE TABLE "LoginEvent" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "method" TEXT NOT NULL,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "newDevice" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoginEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoginEvent_userId_createdAt_idx" ON "LoginEvent"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "LoginEvent" ADD CONSTRAINT "LoginEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
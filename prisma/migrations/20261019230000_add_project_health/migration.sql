@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "completionPercentage" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "overdueTaskCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "health" TEXT NOT NULL DEFAULT 'ON_TRACK',
+ADD COLUMN     "statusOverride" TEXT,
+ADD COLUMN     "healthOverride" TEXT,
+ADD COLUMN     "healthUpdatedAt" TIMESTAMP(3);
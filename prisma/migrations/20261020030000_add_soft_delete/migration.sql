@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "deletedById" TEXT;
+
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "deletedById" TEXT;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "twoFactorChallengeHash" TEXT,
+ADD COLUMN     "twoFactorFailedAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "twoFactorLastUsedStep" INTEGER;
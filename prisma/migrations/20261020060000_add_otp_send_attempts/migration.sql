@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "OtpSendAttempt" (
+    "id" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OtpSendAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OtpSendAttempt_phone_createdAt_idx" ON "OtpSendAttempt"("phone", "createdAt");
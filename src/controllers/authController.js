@@ -1,4 +1,10 @@
 const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const apiTokenService = require('../services/apiTokenService');
+const invitationService = require('../services/invitationService');
+const sessionService = require('../services/sessionService');
+const loginEventService = require('../services/loginEventService');
+const accountService = require('../services/accountService');
 
 // Helper for sending standardized error responses
 const sendErrorResponse = (res, statusCode, message, errors = null) => {
@@ -32,16 +38,262 @@ const login = async (req, res) => {
     if (!email || !password) {
       return sendErrorResponse(res, 400, 'Email and password are required for login.');
     }
-    const result = await authService.loginWithEmail(email, password);
+    const result = await authService.loginWithEmail(email, password, req.ip, req.get('user-agent'));
     res.status(200).json(result);
   } catch (error) {
-    if (error.message.includes('Invalid email or password') || error.message.includes('User not found')) {
+    if (error.message.includes('Invalid email or password')) {
       return sendErrorResponse(res, 401, error.message); // Unauthorized
     }
+    if (error.message.includes('Too many failed login attempts')) {
+      return sendErrorResponse(res, 429, error.message);
+    }
     sendErrorResponse(res, 500, 'Login failed.', { details: error.message });
   }
 };
 
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return sendErrorResponse(res, 400, 'Challenge token and code are required.');
+    }
+    const result = await authService.verifyTwoFactorLogin(challengeToken, code, req.ip, req.get('user-agent'));
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Too many failed login attempts')) {
+      return sendErrorResponse(res, 429, error.message);
+    }
+    if (error.message.includes('two-factor')) {
+      return sendErrorResponse(res, 401, error.message);
+    }
+    sendErrorResponse(res, 500, 'Login failed.', { details: error.message });
+  }
+};
+
+const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.setupTwoFactor(req.user.userId);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('already enabled')) {
+      return sendErrorResponse(res, 409, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to start two-factor setup.', { details: error.message });
+  }
+};
+
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return sendErrorResponse(res, 400, 'Code is required.');
+    }
+    const result = await twoFactorService.enableTwoFactor(req.user.userId, req.user.sessionId, code);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('already enabled')) {
+      return sendErrorResponse(res, 409, error.message);
+    }
+    if (error.message.includes('Invalid two-factor code') || error.message.includes('setup has not been started')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to enable two-factor authentication.', { details: error.message });
+  }
+};
+
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) {
+      return sendErrorResponse(res, 400, 'Password and code are required.');
+    }
+    await twoFactorService.disableTwoFactor(req.user.userId, password, code);
+    res.status(204).send();
+  } catch (error) {
+    if (error.message.includes('Too many failed two-factor attempts')) {
+      return sendErrorResponse(res, 429, error.message);
+    }
+    if (error.message.includes('not enabled') || error.message.includes('Invalid password or two-factor code')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to disable two-factor authentication.', { details: error.message });
+  }
+};
+
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return sendErrorResponse(res, 400, 'Code is required.');
+    }
+    const result = await twoFactorService.regenerateBackupCodes(req.user.userId, code);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Too many failed two-factor attempts')) {
+      return sendErrorResponse(res, 429, error.message);
+    }
+    if (error.message.includes('not enabled') || error.message.includes('Invalid two-factor code')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to regenerate backup codes.', { details: error.message });
+  }
+};
+
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return sendErrorResponse(res, 400, 'Refresh token is required.');
+    }
+    const result = await authService.refreshAccessToken(refreshToken);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Invalid refresh token') || error.message.includes('expired or was revoked')) {
+      return sendErrorResponse(res, 401, error.message);
+    }
+    sendErrorResponse(res, 500, 'Token refresh failed.', { details: error.message });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    await authService.logout(req.user.sessionId);
+    res.status(204).send();
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Logout failed.', { details: error.message });
+  }
+};
+
+const logoutAll = async (req, res) => {
+  try {
+    const result = await authService.logoutAll(req.user.userId);
+    res.status(200).json(result);
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Logout from all devices failed.', { details: error.message });
+  }
+};
+
+const switchOrganization = async (req, res) => {
+  try {
+    const { organizationId } = req.body;
+    if (!organizationId) {
+      return sendErrorResponse(res, 400, 'Organization ID is required.');
+    }
+    const result = await authService.switchOrganization(req.user.userId, req.user.sessionId, organizationId);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('not a member')) {
+      return sendErrorResponse(res, 403, error.message);
+    }
+    if (error.message.includes('expired or was revoked')) {
+      return sendErrorResponse(res, 401, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to switch organization.', { details: error.message });
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return sendErrorResponse(res, 400, 'Email is required.');
+    }
+    const result = await authService.requestPasswordReset(email);
+    res.status(200).json(result);
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Failed to request password reset.', { details: error.message });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return sendErrorResponse(res, 400, 'Token and new password are required.');
+    }
+    const result = await authService.resetPassword(token, password);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Invalid or expired token')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    if (error.message.includes('Password must be at least')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to reset password.', { details: error.message });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return sendErrorResponse(res, 400, 'Token is required.');
+    }
+    const result = await authService.verifyEmail(token);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Invalid or expired token')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to verify email.', { details: error.message });
+  }
+};
+
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const result = await authService.resendVerificationEmail(req.user.userId);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('already verified')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    if (error.message.includes('Please wait')) {
+      return sendErrorResponse(res, 429, error.message);
+    }
+    if (error.message.includes('User profile not found')) {
+      return sendErrorResponse(res, 404, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to resend verification email.', { details: error.message });
+  }
+};
+
+// הזמנות לארגון - ציבורי, הטוקן מהקישור במייל מזהה את ההזמנה
+const getInvitation = async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) {
+      return sendErrorResponse(res, 400, 'Token is required.');
+    }
+    const invitation = await invitationService.getInvitationByToken(token);
+    res.status(200).json(invitation);
+  } catch (error) {
+    if (error.message.includes('Invalid or expired invitation')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to fetch invitation.', { details: error.message });
+  }
+};
+
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, password, fullName } = req.body;
+    if (!token) {
+      return sendErrorResponse(res, 400, 'Token is required.');
+    }
+    const result = await invitationService.acceptInvitation(token, { password, fullName });
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Invalid or expired invitation') || error.message.includes('Password must be at least')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    if (error.message.includes('already a member')) {
+      return sendErrorResponse(res, 409, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to accept invitation.', { details: error.message });
+  }
+};
+
 const getMyMemberships = async (req, res) => {
   try {
     const userId = req.user.userId;
@@ -69,7 +321,8 @@ const updateMyProfile = async (req, res) => {
   try {
     const userId = req.user.userId;
     const updates = req.body;
-    const allowedUpdates = ['fullName', 'jobTitle', 'email', 'profilePictureUrl'];
+    // שינוי אימייל וסיסמה מתבצע דרך /me/email ו-/me/password
+    const allowedUpdates = ['fullName', 'jobTitle', 'profilePictureUrl'];
     const filteredUpdates = Object.keys(updates)
       .filter(key => allowedUpdates.includes(key))
       .reduce((obj, key) => {
@@ -88,6 +341,182 @@ const updateMyProfile = async (req, res) => {
   }
 };
 
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return sendErrorResponse(res, 400, 'Current password and new password are required.');
+    }
+    const result = await authService.changePassword(req.user.userId, req.user.sessionId, currentPassword, newPassword);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Current password is incorrect')) {
+      return sendErrorResponse(res, 401, error.message);
+    }
+    if (error.message.includes('Password must be at least')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    if (error.message.includes('User profile not found')) {
+      return sendErrorResponse(res, 404, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to change password.', { details: error.message });
+  }
+};
+
+const requestEmailChange = async (req, res) => {
+  try {
+    const { currentPassword, newEmail } = req.body;
+    if (!currentPassword || !newEmail) {
+      return sendErrorResponse(res, 400, 'Current password and new email are required.');
+    }
+    const result = await authService.requestEmailChange(req.user.userId, currentPassword, newEmail);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Current password is incorrect')) {
+      return sendErrorResponse(res, 401, error.message);
+    }
+    if (error.message.includes('Email format is invalid') || error.message.includes('must be different')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    if (error.message.includes('Email is already in use')) {
+      return sendErrorResponse(res, 409, error.message); // 409 Conflict
+    }
+    if (error.message.includes('User profile not found')) {
+      return sendErrorResponse(res, 404, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to request email change.', { details: error.message });
+  }
+};
+
+const confirmEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return sendErrorResponse(res, 400, 'Token is required.');
+    }
+    const result = await authService.confirmEmailChange(token);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Invalid or expired token')) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    if (error.message.includes('Email is already in use')) {
+      return sendErrorResponse(res, 409, error.message); // 409 Conflict
+    }
+    sendErrorResponse(res, 500, 'Failed to confirm email change.', { details: error.message });
+  }
+};
+
+// טוקנים אישיים (Personal Access Tokens) לסקריפטים ואינטגרציות
+const listApiTokens = async (req, res) => {
+  try {
+    const tokens = await apiTokenService.listApiTokens(req.user.userId);
+    res.status(200).json(tokens);
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Failed to fetch API tokens.', { details: error.message });
+  }
+};
+
+const createApiToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const result = await apiTokenService.createApiToken(req.user.userId, req.user.organizationId, {
+      name,
+      scopes,
+      expiresInDays,
+      twoFactorVerified: req.user.twoFactorVerified,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.message.includes('is required') || error.message.includes('Invalid scopes') || error.message.includes('expiry must be')) {
+      return sendErrorResponse(res, 400, error.message, { availableScopes: apiTokenService.API_TOKEN_SCOPES });
+    }
+    if (error.message.includes('at most')) {
+      return sendErrorResponse(res, 409, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to create API token.', { details: error.message });
+  }
+};
+
+const revokeApiToken = async (req, res) => {
+  try {
+    await apiTokenService.revokeApiToken(req.user.userId, req.params.tokenId);
+    res.status(200).json({ message: 'API token revoked.' });
+  } catch (error) {
+    if (error.message.includes('API token not found')) {
+      return sendErrorResponse(res, 404, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to revoke API token.', { details: error.message });
+  }
+};
+
+// מכשירים מחוברים והיסטוריית התחברויות
+const listMySessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listUserSessions(req.user.userId, req.user.sessionId);
+    res.status(200).json(sessions);
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Failed to fetch sessions.', { details: error.message });
+  }
+};
+
+const revokeMySession = async (req, res) => {
+  try {
+    await sessionService.revokeUserSession(req.user.userId, req.params.sessionId);
+    res.status(200).json({ message: 'Session revoked.' });
+  } catch (error) {
+    if (error.message.includes('Session not found')) {
+      return sendErrorResponse(res, 404, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to revoke session.', { details: error.message });
+  }
+};
+
+const getMyLogins = async (req, res) => {
+  try {
+    const logins = await loginEventService.getUserLogins(req.user.userId, { limit: req.query.limit });
+    res.status(200).json(logins);
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Failed to fetch login history.', { details: error.message });
+  }
+};
+
+// ייצוא כל המידע האישי ומחיקת החשבון
+const exportMyData = async (req, res) => {
+  try {
+    const data = await accountService.exportUserData(req.user.userId);
+    res.setHeader('Content-Disposition', `attachment; filename="projectflow-export-${req.user.userId}.json"`);
+    res.status(200).json(data);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return sendErrorResponse(res, 404, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to export your data.', { details: error.message });
+  }
+};
+
+const deleteMyAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password) {
+      return sendErrorResponse(res, 400, 'Password is required to delete your account.');
+    }
+    const result = await accountService.deleteAccount(req.user.userId, password);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Current password is incorrect')) {
+      return sendErrorResponse(res, 401, error.message);
+    }
+    if (error.message.includes('only SUPER_ADMIN')) {
+      return sendErrorResponse(res, 409, error.message); // 409 Conflict
+    }
+    if (error.message.includes('not found')) {
+      return sendErrorResponse(res, 404, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to delete account.', { details: error.message });
+  }
+};
+
 const uploadProfilePicture = async (req, res) => {
   try {
     const userId = req.user.userId;
@@ -105,21 +534,75 @@ const uploadProfilePicture = async (req, res) => {
 };
 
 const sendOtp = async (req, res) => {
-  // TODO: לממש לפי הצורך שלך
-  res.status(501).json({ message: 'Not implemented' });
+  try {
+    const { phone } = req.body;
+    if (!phone) {
+      return sendErrorResponse(res, 400, 'Phone number is required.');
+    }
+    const result = await authService.sendLoginOtp(phone.trim());
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Too many OTP requests')) {
+      return sendErrorResponse(res, 429, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to send OTP.', { details: error.message });
+  }
 };
 
 const verifyOtp = async (req, res) => {
-  // TODO: לממש לפי הצורך שלך
-  res.status(501).json({ message: 'Not implemented' });
+  try {
+    const { phone, otpCode } = req.body;
+    if (!phone || !otpCode) {
+      return sendErrorResponse(res, 400, 'Phone number and OTP code are required.');
+    }
+    const result = await authService.verifyLoginOtp(phone.trim(), String(otpCode), req.ip, req.get('user-agent'));
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes('Invalid or expired OTP') || error.message.includes('Too many failed OTP attempts')) {
+      return sendErrorResponse(res, 401, error.message);
+    }
+    if (error.message.includes('Too many failed login attempts')) {
+      return sendErrorResponse(res, 429, error.message);
+    }
+    if (error.message.includes('no active memberships')) {
+      return sendErrorResponse(res, 403, error.message);
+    }
+    sendErrorResponse(res, 500, 'OTP verification failed.', { details: error.message });
+  }
 };
 
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  refresh,
+  logout,
+  logoutAll,
+  switchOrganization,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getInvitation,
+  acceptInvitation,
   getMyMemberships,
   getMyProfile,
   updateMyProfile,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+  listMySessions,
+  revokeMySession,
+  getMyLogins,
+  exportMyData,
+  deleteMyAccount,
   uploadProfilePicture,
   sendOtp,
   verifyOtp
@@ -5,10 +5,10 @@ const { sendErrorResponse } = require('../utils/errorUtils');
 const getSummary = async (req, res) => {
   try {
     const organizationId = req.organizationId;
-    const userRole = req.user.role; // 💡 קבלת התפקיד מה-token
+    const permissions = req.membership.permissions; // 💡 ההרשאות של התפקיד בארגון
     const { projectId } = req.query;
 
-    const summary = await financeService.getFinanceSummary(organizationId, userRole, projectId); // 💡 העברת התפקיד
+    const summary = await financeService.getFinanceSummary(organizationId, permissions, projectId);
     res.status(200).json(summary);
   } catch (error) {
     if (error.message.includes('permission')) {
@@ -24,10 +24,10 @@ const getSummary = async (req, res) => {
 const getEntries = async (req, res) => {
   try {
     const organizationId = req.organizationId;
-    const userRole = req.user.role; // 💡 קבלת התפקיד מה-token
+    const permissions = req.membership.permissions; // 💡 ההרשאות של התפקיד בארגון
     const { projectId, page, limit, sortBy, sortOrder } = req.query;
 
-    const entries = await financeService.getFinanceEntries(organizationId, userRole, { // 💡 העברת התפקיד
+    const entries = await financeService.getFinanceEntries(organizationId, permissions, {
       projectId,
       page: page ? parseInt(page) : undefined,
       limit: limit ? parseInt(limit) : undefined,
@@ -63,7 +63,7 @@ const createEntry = async (req, res) => {
 
     const newEntry = await financeService.createFinanceEntry(organizationId, {
       type, amount, description, date, projectId, taskId, vatPercentage, deductions, status, notes
-    });
+    }, req.user.userId);
     res.status(201).json(newEntry);
   } catch (error) {
     if (error.message.includes('Project not found') || error.message.includes('Task not found')) {
@@ -79,7 +79,7 @@ const updateEntry = async (req, res) => {
     const organizationId = req.organizationId;
     const updateData = req.body;
 
-    const updatedEntry = await financeService.updateFinanceEntry(entryId, organizationId, updateData);
+    const updatedEntry = await financeService.updateFinanceEntry(entryId, organizationId, updateData, req.user.userId);
     res.status(200).json(updatedEntry);
   } catch (error) {
     if (error.message.includes('entry not found')) {
@@ -94,7 +94,7 @@ const deleteEntry = async (req, res) => {
     const { entryId } = req.params;
     const organizationId = req.organizationId;
 
-    await financeService.deleteFinanceEntry(entryId, organizationId);
+    await financeService.deleteFinanceEntry(entryId, organizationId, req.user.userId);
     res.status(204).send();
   } catch (error) {
     if (error.message.includes('entry not found')) {
@@ -108,7 +108,7 @@ const resetProjectFinances = async (req, res) => {
   try {
     const { projectId } = req.params;
     const organizationId = req.organizationId;
-    await financeService.resetProjectFinances(organizationId, projectId);
+    await financeService.resetProjectFinances(organizationId, projectId, req.user.userId);
     res.status(204).send();
   } catch (error) {
     if (error.message.includes('Project not found')) {
@@ -124,7 +124,7 @@ const restoreProjectFinances = async (req, res) => {
     const { entryId } = req.body;
     const organizationId = req.organizationId;
 
-    await financeService.restoreProjectFinances(organizationId, projectId, entryId);
+    await financeService.restoreProjectFinances(organizationId, projectId, entryId, req.user.userId);
     res.status(204).send();
   } catch (error) {
     if (error.message.includes('not found')) {
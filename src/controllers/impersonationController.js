@@ -0,0 +1,47 @@
+// src/controllers/impersonationController.js
+const impersonationService = require('../services/impersonationService');
+const { sendErrorResponse } = require('../utils/errorUtils');
+
+const startImpersonation = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const result = await impersonationService.startImpersonation(
+      { userId: req.user.userId, role: req.membership.role, twoFactorVerified: req.user.twoFactorVerified },
+      userId,
+      req.organizationId
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return sendErrorResponse(res, 404, error.message);
+    }
+    if (error.message.includes('Only a SUPER_ADMIN') || error.message.includes('cannot impersonate')) {
+      return sendErrorResponse(res, 403, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to start impersonation.', { details: error.message });
+  }
+};
+
+const getImpersonationLogs = async (req, res) => {
+  try {
+    const { impersonatorId, userId, sessionId, page, limit } = req.query;
+    const logs = await impersonationService.getImpersonationLogs(req.organizationId, req.membership.role, {
+      impersonatorId,
+      userId,
+      sessionId,
+      page,
+      limit,
+    });
+    res.status(200).json(logs);
+  } catch (error) {
+    if (error.message.includes('Only a SUPER_ADMIN')) {
+      return sendErrorResponse(res, 403, error.message);
+    }
+    sendErrorResponse(res, 500, 'Failed to retrieve impersonation log.', { details: error.message });
+  }
+};
+
+module.exports = {
+  startImpersonation,
+  getImpersonationLogs,
+};
@@ -0,0 +1,88 @@
+// src/controllers/milestoneController.js
+const milestoneService = require('../services/milestoneService');
+const { sendErrorResponse } = require('../utils/errorUtils');
+
+const handleMilestoneError = (res, error, fallbackMessage) => {
+    if (error.message.includes('not found')) {
+        return sendErrorResponse(res, 404, error.message);
+    }
+    if (error.message.includes('required') || error.message.includes('must') || error.message.includes('invalid or not') || error.message.includes('derived from') || error.message.includes('No valid fields')) {
+        return sendErrorResponse(res, 400, error.message);
+    }
+    sendErrorResponse(res, 500, fallbackMessage, { details: error.message });
+};
+
+const getMilestones = async (req, res) => {
+    try {
+        const milestones = await milestoneService.getMilestones(req.params.projectId, req.organizationId, req.user.userId, req.membership.permissions);
+        res.status(200).json(milestones);
+    } catch (error) {
+        handleMilestoneError(res, error, 'Failed to retrieve milestones.');
+    }
+};
+
+const getMilestoneById = async (req, res) => {
+    try {
+        const { projectId, milestoneId } = req.params;
+        const milestone = await milestoneService.getMilestoneById(milestoneId, projectId, req.organizationId, req.user.userId, req.membership.permissions);
+        res.status(200).json(milestone);
+    } catch (error) {
+        handleMilestoneError(res, error, 'Failed to retrieve milestone.');
+    }
+};
+
+const createMilestone = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { title, description, dueDate, incomeAmount, taskIds } = req.body;
+        const milestone = await milestoneService.createMilestone(projectId, req.organizationId, {
+            title,
+            description,
+            dueDate,
+            incomeAmount,
+            taskIds
+        });
+        res.status(201).json(milestone);
+    } catch (error) {
+        handleMilestoneError(res, error, 'Failed to create milestone.');
+    }
+};
+
+const updateMilestone = async (req, res) => {
+    try {
+        const { projectId, milestoneId } = req.params;
+        const { title, description, dueDate, incomeAmount, taskIds, completed } = req.body;
+        if (completed !== undefined && typeof completed !== 'boolean') {
+            return sendErrorResponse(res, 400, 'completed must be a boolean.');
+        }
+        const milestone = await milestoneService.updateMilestone(milestoneId, projectId, req.organizationId, {
+            title,
+            description,
+            dueDate,
+            incomeAmount,
+            taskIds,
+            completed
+        });
+        res.status(200).json(milestone);
+    } catch (error) {
+        handleMilestoneError(res, error, 'Failed to update milestone.');
+    }
+};
+
+const deleteMilestone = async (req, res) => {
+    try {
+        const { projectId, milestoneId } = req.params;
+        await milestoneService.deleteMilestone(milestoneId, projectId, req.organizationId);
+        res.status(204).send();
+    } catch (error) {
+        handleMilestoneError(res, error, 'Failed to delete milestone.');
+    }
+};
+
+module.exports = {
+    getMilestones,
+    getMilestoneById,
+    createMilestone,
+    updateMilestone,
+    deleteMilestone
+};
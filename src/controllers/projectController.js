@@ -2,62 +2,65 @@
 const projectService = require('../services/projectService');
 const { sendErrorResponse } = require('../utils/errorUtils');
 const financeService = require('../services/financeService'); // ייבוא שירות הכספים
+const projectTemplateService = require('../services/projectTemplateService');
+const projectMemberService = require('../services/projectMemberService');
+const activityService = require('../services/activityService');
+const trashService = require('../services/trashService');
 
 
-// --- הוספנו את הפונקציה הזו כאן לנוחות ---
-const calculateProjectStatus = (tasks) => {
-    if (!tasks || tasks.length === 0) {
-        return { status: 'מתוכנן', completionPercentage: 0 };
-    }
+const getProjects = async (req, res) => {
+    try {
+        const organizationId = req.organizationId;
+        const userId = req.user.userId;
+        const permissions = req.membership.permissions;
+        const { page, limit, sortBy, sortOrder,isArchived } = req.query;
+        const { status, teamId, teamLeadId, startFrom, startTo, endFrom, endTo, overdue, budget, search } = req.query;
 
-    const totalTasks = tasks.length;
-    const completedTasks = tasks.filter(task => task.status === 'הושלם').length;
-    const stuckTasks = tasks.filter(task => task.status === 'תקוע').length;
+        // בדיקת תקינות של טווחי התאריכים והפילטר התקציבי
+        const dateParams = { startFrom, startTo, endFrom, endTo };
+        for (const [name, value] of Object.entries(dateParams)) {
+            if (value !== undefined && isNaN(new Date(value).getTime())) {
+                return sendErrorResponse(res, 400, `Invalid date for ${name}. Use YYYY-MM-DD.`);
+            }
+        }
+        if (budget !== undefined && !['over', 'under'].includes(budget)) {
+            return sendErrorResponse(res, 400, "budget must be 'over' or 'under'.");
+        }
 
-    const completionPercentage = Math.round((completedTasks / totalTasks) * 100);
+        const filters = { status, teamId, teamLeadId, startFrom, startTo, endFrom, endTo, overdue: overdue === 'true', budget, search };
+        // הסטטוס, אחוז ההשלמה ומצב הלו"ז שמורים בפרויקט ומתעדכנים בכל שינוי במשימות
+        const projectsResult = await projectService.getAllProjects(organizationId, userId, permissions, { page: parseInt(page), limit: parseInt(limit), sortBy, sortOrder,isArchived: isArchived === 'true', filters });
 
-    let status;
+        res.status(200).json(projectsResult);
 
-    if (stuckTasks > 0) {
-        status = 'בסיכון';
-    } else if (completionPercentage === 100) {
-        status = 'הושלם';
-    } else if (completionPercentage === 0 && tasks.every(t => t.status === 'מתוכנן')) {
-        status = 'מתוכנן';
-    } else {
-        status = 'בתהליך';
+    } catch (error) {
+        console.error('Error in projectController.getProjects:', error);
+        sendErrorResponse(res, 500, 'Failed to retrieve projects.', { details: error.message });
     }
-
-    return { status, completionPercentage };
 };
 
-
-const getProjects = async (req, res) => {
+const getPortfolio = async (req, res) => {
     try {
-        const organizationId = req.organizationId;
-        const userId = req.user.userId;
-        const userRole = req.user.role;
-        const { page, limit, sortBy, sortOrder,isArchived } = req.query;
+        const { teamId, from, to, days } = req.query;
 
-        const projectsResult = await projectService.getAllProjects(organizationId, userId, userRole, { page: parseInt(page), limit: parseInt(limit), sortBy, sortOrder,isArchived: isArchived === 'true' });
-        
-        const projectsWithDynamicStatus = projectsResult.data.map(project => {
-            const { status, completionPercentage } = calculateProjectStatus(project.tasks);
-            return {
-                ...project,
-                status,
-                completionPercentage,
-            };
-        });
-        
-        res.status(200).json({
-            ...projectsResult,
-            data: projectsWithDynamicStatus
-        });
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value !== undefined && isNaN(new Date(value).getTime())) {
+                return sendErrorResponse(res, 400, `Invalid date for ${name}. Use YYYY-MM-DD.`);
+            }
+        }
+        if (from && to && new Date(from) > new Date(to)) {
+            return sendErrorResponse(res, 400, 'from must be on or before to.');
+        }
+        const parsedDays = days === undefined ? undefined : parseInt(days);
+        if (parsedDays !== undefined && (isNaN(parsedDays) || parsedDays < 1 || parsedDays > 365)) {
+            return sendErrorResponse(res, 400, 'days must be a number between 1 and 365.');
+        }
 
+        const portfolio = await projectService.getPortfolio(req.organizationId, req.user.userId, req.membership.permissions, { teamId, from, to, days: parsedDays });
+        res.status(200).json(portfolio);
     } catch (error) {
-        console.error('Error in projectController.getProjects:', error);
-        sendErrorResponse(res, 500, 'Failed to retrieve projects.', { details: error.message });
+        console.error('Error in projectController.getPortfolio:', error);
+        sendErrorResponse(res, 500, 'Failed to retrieve the project portfolio.', { details: error.message });
     }
 };
 
@@ -123,13 +126,13 @@ const updateProject = async (req, res) => {
             return sendErrorResponse(res, 400, 'No valid fields provided for update.');
         }
 
-        const updatedProject = await projectService.updateProject(projectId, organizationId, filteredUpdateData);
+        const updatedProject = await projectService.updateProject(projectId, organizationId, filteredUpdateData, req.user.userId);
         res.status(200).json(updatedProject);
     } catch (error) {
         if (error.message.includes('Project not found')) {
             return sendErrorResponse(res, 404, error.message);
         }
-        if (error.message.includes('invalid or not members')) {
+        if (error.message.includes('invalid or not members') || error.message.includes('must be one of')) {
             return sendErrorResponse(res, 400, error.message);
         }
         sendErrorResponse(res, 500, 'Failed to update project.', { details: error.message });
@@ -146,7 +149,7 @@ const archiveProject = async (req, res) => {
             return sendErrorResponse(res, 400, 'Invalid value for isArchived. Must be a boolean.');
         }
 
-        const updatedProject = await projectService.archiveProject(projectId, organizationId, isArchived);
+        const updatedProject = await projectService.archiveProject(projectId, organizationId, isArchived, req.user.userId);
         res.status(200).json(updatedProject);
     } catch (error) {
         if (error.message.includes('Project not found')) {
@@ -163,7 +166,7 @@ const resetProjectFinances = async (req, res) => {
         const organizationId = req.organizationId;
         
         // קריאה לשירות הכספים כדי לבצע את איפוס הכספים
-        await financeService.resetProjectFinances(organizationId, projectId);
+        await financeService.resetProjectFinances(organizationId, projectId, req.user.userId);
         
         res.status(204).send(); // החזרת תשובה ריקה כסימן להצלחה (No Content)
     } catch (error) {
@@ -180,7 +183,7 @@ const deleteProject = async (req, res) => {
     try {
         const { projectId } = req.params;
         const organizationId = req.organizationId;
-        await projectService.deleteProject(projectId, organizationId);
+        await projectService.deleteProject(projectId, organizationId, req.user.userId);
         res.status(204).send();
     } catch (error) {
         if (error.message.includes('Project not found')) {
@@ -190,12 +193,280 @@ const deleteProject = async (req, res) => {
     }
 };
 
+// עקיפה ידנית של הסטטוס / מצב הלו"ז (null מחזיר לחישוב האוטומטי)
+const setProjectHealthOverride = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { status, health } = req.body;
+        const result = await projectService.setProjectHealthOverride(projectId, req.organizationId, { status, health });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.includes('Project not found')) {
+            return sendErrorResponse(res, 404, error.message);
+        }
+        if (error.message.includes('must be one of') || error.message.includes('No valid fields')) {
+            return sendErrorResponse(res, 400, error.message);
+        }
+        sendErrorResponse(res, 500, 'Failed to update project health.', { details: error.message });
+    }
+};
+
+const cloneProject = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const organizationId = req.organizationId;
+        const { title, startDate, shiftDays, includeComments, includeFinanceEntries, includeArchiveState, keepTaskStatus } = req.body;
+
+        if (startDate !== undefined && shiftDays !== undefined) {
+            return sendErrorResponse(res, 400, 'Provide either startDate or shiftDays, not both.');
+        }
+
+        const newProject = await projectService.cloneProject(projectId, organizationId, req.user.userId, req.membership.permissions, {
+            title,
+            startDate,
+            shiftDays,
+            includeComments: includeComments === true,
+            includeFinanceEntries: includeFinanceEntries === true,
+            includeArchiveState: includeArchiveState === true,
+            keepTaskStatus: keepTaskStatus === true
+        });
+        res.status(201).json(newProject);
+    } catch (error) {
+        if (error.message.includes('Project not found')) {
+            return sendErrorResponse(res, 404, error.message);
+        }
+        if (error.message.includes('must be')) {
+            return sendErrorResponse(res, 400, error.message);
+        }
+        if (error.message.includes('permission')) {
+            return sendErrorResponse(res, 403, error.message);
+        }
+        sendErrorResponse(res, 500, 'Failed to clone project.', { details: error.message });
+    }
+};
+
+// --- תבניות פרויקטים ---
+const handleTemplateError = (res, error, fallbackMessage) => {
+    if (error.message.includes('not found')) {
+        return sendErrorResponse(res, 404, error.message);
+    }
+    if (error.message.includes('already exists')) {
+        return sendErrorResponse(res, 409, error.message); // 409 Conflict
+    }
+    if (error.message.includes('required') || error.message.includes('must') || error.message.includes('repeats') || error.message.includes('invalid or not')) {
+        return sendErrorResponse(res, 400, error.message);
+    }
+    sendErrorResponse(res, 500, fallbackMessage, { details: error.message });
+};
+
+const getProjectTemplates = async (req, res) => {
+    try {
+        const templates = await projectTemplateService.getTemplates(req.organizationId);
+        res.status(200).json(templates);
+    } catch (error) {
+        sendErrorResponse(res, 500, 'Failed to retrieve project templates.', { details: error.message });
+    }
+};
+
+const getProjectTemplate = async (req, res) => {
+    try {
+        const template = await projectTemplateService.getTemplateById(req.params.templateId, req.organizationId);
+        res.status(200).json(template);
+    } catch (error) {
+        handleTemplateError(res, error, 'Failed to retrieve project template.');
+    }
+};
+
+const createProjectTemplate = async (req, res) => {
+    try {
+        const { name, description, durationDays, tasks, monthlyBudgets } = req.body;
+        const template = await projectTemplateService.createTemplate(req.organizationId, req.user.userId, {
+            name,
+            description,
+            durationDays,
+            tasks,
+            monthlyBudgets
+        });
+        res.status(201).json(template);
+    } catch (error) {
+        handleTemplateError(res, error, 'Failed to create project template.');
+    }
+};
+
+const saveProjectAsTemplate = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { name, description } = req.body;
+        const template = await projectTemplateService.saveProjectAsTemplate(projectId, req.organizationId, req.user.userId, req.membership.permissions, { name, description });
+        res.status(201).json(template);
+    } catch (error) {
+        handleTemplateError(res, error, 'Failed to save project as template.');
+    }
+};
+
+const deleteProjectTemplate = async (req, res) => {
+    try {
+        await projectTemplateService.deleteTemplate(req.params.templateId, req.organizationId);
+        res.status(204).send();
+    } catch (error) {
+        handleTemplateError(res, error, 'Failed to delete project template.');
+    }
+};
+
+const createProjectFromTemplate = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        const { title, startDate, description, teamLeads, teamIds, roleAssignments } = req.body;
+
+        if (!title || !startDate || !Array.isArray(teamLeads)) {
+            return sendErrorResponse(res, 400, 'Title, startDate and teamLeads array are required.');
+        }
+        if (teamIds !== undefined && !Array.isArray(teamIds)) {
+            return sendErrorResponse(res, 400, 'teamIds must be an array.');
+        }
+
+        const newProject = await projectTemplateService.createProjectFromTemplate(templateId, req.organizationId, {
+            title,
+            startDate,
+            description,
+            teamLeads,
+            teamIds,
+            roleAssignments
+        });
+        res.status(201).json(newProject);
+    } catch (error) {
+        handleTemplateError(res, error, 'Failed to create project from template.');
+    }
+};
+
+const handleProjectMemberError = (res, error, fallbackMessage) => {
+    if (error.message.includes('not found')) {
+        return sendErrorResponse(res, 404, error.message);
+    }
+    if (error.message.includes('already a member')) {
+        return sendErrorResponse(res, 409, error.message);
+    }
+    if (error.message.includes('required') || error.message.includes('must be one of')) {
+        return sendErrorResponse(res, 400, error.message);
+    }
+    sendErrorResponse(res, 500, fallbackMessage, { details: error.message });
+};
+
+const getProjectMembers = async (req, res) => {
+    try {
+        const members = await projectMemberService.getProjectMembers(req.params.projectId, req.organizationId, req.user.userId, req.membership.permissions);
+        res.status(200).json(members);
+    } catch (error) {
+        handleProjectMemberError(res, error, 'Failed to retrieve project members.');
+    }
+};
+
+const addProjectMember = async (req, res) => {
+    try {
+        const { userId, role } = req.body;
+        const member = await projectMemberService.addProjectMember(req.params.projectId, req.organizationId, req.user.userId, { userId, role });
+        res.status(201).json(member);
+    } catch (error) {
+        handleProjectMemberError(res, error, 'Failed to add project member.');
+    }
+};
+
+const updateProjectMember = async (req, res) => {
+    try {
+        const { projectId, userId } = req.params;
+        const member = await projectMemberService.updateProjectMemberRole(projectId, req.organizationId, userId, req.body.role);
+        res.status(200).json(member);
+    } catch (error) {
+        handleProjectMemberError(res, error, 'Failed to update project member.');
+    }
+};
+
+const removeProjectMember = async (req, res) => {
+    try {
+        const { projectId, userId } = req.params;
+        await projectMemberService.removeProjectMember(projectId, req.organizationId, userId);
+        res.status(204).send();
+    } catch (error) {
+        handleProjectMemberError(res, error, 'Failed to remove project member.');
+    }
+};
+
+const getProjectActivity = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { cursor, limit, actorId, type } = req.query;
+        const activity = await activityService.getProjectActivity(projectId, req.organizationId, req.user.userId, req.membership.permissions, { cursor, limit, actorId, type });
+        res.status(200).json(activity);
+    } catch (error) {
+        if (error.message.includes('Project not found')) {
+            return sendErrorResponse(res, 404, error.message);
+        }
+        if (error.message.includes('must be one of') || error.message.includes('Invalid cursor')) {
+            return sendErrorResponse(res, 400, error.message);
+        }
+        sendErrorResponse(res, 500, 'Failed to retrieve project activity.', { details: error.message });
+    }
+};
+
+const getTrash = async (req, res) => {
+    try {
+        const trash = await trashService.getTrash(req.organizationId);
+        res.status(200).json(trash);
+    } catch (error) {
+        sendErrorResponse(res, 500, 'Failed to retrieve the trash.', { details: error.message });
+    }
+};
+
+const restoreProject = async (req, res) => {
+    try {
+        const project = await trashService.restoreProject(req.params.projectId, req.organizationId, req.user.userId);
+        res.status(200).json(project);
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return sendErrorResponse(res, 404, error.message);
+        }
+        sendErrorResponse(res, 500, 'Failed to restore project.', { details: error.message });
+    }
+};
+
+const restoreTask = async (req, res) => {
+    try {
+        const task = await trashService.restoreTask(req.params.taskId, req.organizationId, req.user.userId);
+        res.status(200).json(task);
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return sendErrorResponse(res, 404, error.message);
+        }
+        if (error.message.includes('Restore the project first')) {
+            return sendErrorResponse(res, 409, error.message);
+        }
+        sendErrorResponse(res, 500, 'Failed to restore task.', { details: error.message });
+    }
+};
+
 module.exports = {
     getProjects,
+    getPortfolio,
     createProject,
     updateProject,
     archiveProject,
     deleteProject,
     getProjectById,
-    resetProjectFinances 
+    resetProjectFinances,
+    setProjectHealthOverride,
+    cloneProject,
+    getProjectTemplates,
+    getProjectTemplate,
+    createProjectTemplate,
+    saveProjectAsTemplate,
+    deleteProjectTemplate,
+    createProjectFromTemplate,
+    getProjectMembers,
+    addProjectMember,
+    updateProjectMember,
+    removeProjectMember,
+    getProjectActivity,
+    getTrash,
+    restoreProject,
+    restoreTask
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+// src/controllers/roleController.js
+const roleService = require('../services/roleService');
+const { sendErrorResponse } = require('../utils/errorUtils');
+
+// The acting member, used to prevent granting more than the caller has
+const getActor = (req) => ({
+  level: req.membership.level,
+  permissions: req.membership.permissions,
+});
+
+const handleRoleError = (res, error, fallbackMessage) => {
+  if (error.message.includes('Role not found')) {
+    return sendErrorResponse(res, 404, error.message);
+  }
+  if (error.message.includes('already exists') || error.message.includes('still assigned')) {
+    return sendErrorResponse(res, 409, error.message); // 409 Conflict
+  }
+  if (error.message.includes('cannot')) {
+    return sendErrorResponse(res, 403, error.message);
+  }
+  if (error.message.includes('required') || error.message.includes('must be') || error.message.includes('Unknown permissions') || error.message.includes('No valid fields')) {
+    return sendErrorResponse(res, 400, error.message);
+  }
+  sendErrorResponse(res, 500, fallbackMessage, { details: error.message });
+};
+
+const getRoles = async (req, res) => {
+  try {
+    const roles = await roleService.getRoles(req.organizationId);
+    res.status(200).json(roles);
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Failed to retrieve roles.', { details: error.message });
+  }
+};
+
+const getPermissions = (req, res) => {
+  res.status(200).json(roleService.getPermissionCatalog());
+};
+
+const createRole = async (req, res) => {
+  try {
+    const { name, description, level, permissions } = req.body;
+    const role = await roleService.createRole(req.organizationId, getActor(req), { name, description, level, permissions });
+    res.status(201).json(role);
+  } catch (error) {
+    handleRoleError(res, error, 'Failed to create role.');
+  }
+};
+
+const updateRole = async (req, res) => {
+  try {
+    const { name, description, level, permissions } = req.body;
+    const role = await roleService.updateRole(req.params.roleId, req.organizationId, getActor(req), { name, description, level, permissions });
+    res.status(200).json(role);
+  } catch (error) {
+    handleRoleError(res, error, 'Failed to update role.');
+  }
+};
+
+const deleteRole = async (req, res) => {
+  try {
+    await roleService.deleteRole(req.params.roleId, req.organizationId, getActor(req));
+    res.status(200).json({ message: 'Role deleted successfully.' });
+  } catch (error) {
+    handleRoleError(res, error, 'Failed to delete role.');
+  }
+};
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+};
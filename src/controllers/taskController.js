@@ -31,7 +31,7 @@ const createTask = async (req, res) => {
 
     const newTask = await taskService.createTask(projectId, organizationId, {
       title, description, assigneesIds, startDate, endDate, expense, color
-    });
+    }, req.user.userId);
     res.status(201).json(newTask);
   } catch (error) {
     if (error.message.includes('Project not found')) {
@@ -49,7 +49,7 @@ const updateTask = async (req, res) => {
     const { projectId, taskId } = req.params;
     const organizationId = req.organizationId;
     const currentUserId = req.user.userId;
-    const currentUserRole = req.user.role; // Role from JWT
+    const permissions = req.membership.permissions; // Permissions of the user's role
 
     const updateData = req.body;
 
@@ -66,7 +66,7 @@ const updateTask = async (req, res) => {
         return sendErrorResponse(res, 400, 'No valid fields provided for update.');
     }
 
-    const updatedTask = await taskService.updateTask(taskId, projectId, organizationId, currentUserId, currentUserRole, filteredUpdateData);
+    const updatedTask = await taskService.updateTask(taskId, projectId, organizationId, currentUserId, permissions, filteredUpdateData);
     res.status(200).json(updatedTask);
   } catch (error) {
     if (error.message.includes('Project not found') || error.message.includes('Task not found')) {
@@ -83,8 +83,8 @@ const deleteTask = async (req, res) => {
   try {
     const { projectId, taskId } = req.params;
     const organizationId = req.organizationId;
-    // Note: The permission for deleting is handled in the route using authorizeRoles
-    await taskService.deleteTask(taskId, projectId, organizationId);
+    // Note: The permission for deleting is handled in the route using requireProjectRole('MANAGER', 'task.manage')
+    await taskService.deleteTask(taskId, projectId, organizationId, req.user.userId);
     res.status(204).send();
   } catch (error) {
     if (error.message.includes('Project not found') || error.message.includes('Task not found')) {
@@ -119,12 +119,15 @@ const addCommentToTask = async (req, res) => {
       return sendErrorResponse(res, 400, 'Comment content is required.');
     }
 
-    const newComment = await taskService.addCommentToTask(taskId, projectId, organizationId, authorId, content);
+    const newComment = await taskService.addCommentToTask(taskId, projectId, organizationId, authorId, content, req.membership.permissions);
     res.status(201).json(newComment);
   } catch (error) {
     if (error.message.includes('Project not found') || error.message.includes('Task not found')) {
       return sendErrorResponse(res, 404, error.message);
     }
+    if (error.message.includes('permission')) {
+      return sendErrorResponse(res, 403, error.message);
+    }
     sendErrorResponse(res, 500, 'Failed to add comment.', { details: error.message });
   }
 };
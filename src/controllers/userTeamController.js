@@ -1,4 +1,6 @@
 const userTeamService = require('../services/userTeamService');
+const invitationService = require('../services/invitationService');
+const loginEventService = require('../services/loginEventService');
 const { sendErrorResponse } = require('../utils/errorUtils');
 
 // הודעות שגיאה ללקוח בעברית
@@ -9,6 +11,13 @@ const errorsHe = {
   "Invalid role": "הרשאה לא תקינה.",
   "email": "האימייל כבר בשימוש או לא תקין.",
   "Failed to invite user.": "הזמנת המשתמש נכשלה.",
+  "pending invitation already exists": "כבר נשלחה הזמנה פעילה לאימייל הזה.",
+  "Invalid invitation status": "סטטוס הזמנה לא תקין.",
+  "Failed to retrieve invitations.": "נכשל בקבלת רשימת ההזמנות.",
+  "Invitation not found": "ההזמנה לא נמצאה.",
+  "no longer pending": "ההזמנה כבר אושרה או בוטלה.",
+  "Failed to resend invitation.": "שליחה חוזרת של ההזמנה נכשלה.",
+  "Failed to revoke invitation.": "ביטול ההזמנה נכשל.",
   "Role is required for user role update.": "יש לבחור הרשאה לעדכון.",
   "not found": "משתמש לא נמצא.",
   "permission": "אין לך הרשאה לבצע פעולה זו.",
@@ -21,6 +30,8 @@ const errorsHe = {
   "Failed to update user email.": "עדכון האימייל נכשל.",
   "Password must be at least 6 characters.": "הסיסמה חייבת לכלול לפחות 6 תווים.",
   "Failed to update user password.": "עדכון הסיסמה נכשל.",
+  "Failed to unlock user account.": "שחרור נעילת החשבון נכשל.",
+  "Failed to retrieve login history.": "נכשל בקבלת היסטוריית ההתחברויות.",
   "Failed to retrieve teams.": "נכשל בקבלת רשימת הצוותים.",
   "Team name, leadIds (array), and memberIds (array) are required.": "יש להזין שם צוות, ראשי צוותים וחברי צוות.",
   "invalid or not part of this organization": "חבר צוות לא שייך לארגון.",
@@ -44,15 +55,15 @@ function translateError(message) {
 const getUsers = async (req, res) => {
   try {
     const organizationId = req.organizationId;
-    // 💡 תיקון: הוסף את userId ו-userRole מתוך ה-request
+    // 💡 תיקון: הוסף את userId וההרשאות מתוך ה-request
     const userId = req.user.userId;
-    const userRole = req.user.role;
+    const permissions = req.membership.permissions;
     const { page, limit, sortBy, sortOrder } = req.query;
     
     const users = await userTeamService.getAllUserMembershipsInOrg(
       organizationId, 
       userId,
-      userRole,
+      permissions,
       { page: parseInt(page), limit: parseInt(limit), sortBy, sortOrder }
     );
     res.status(200).json(users);
@@ -64,37 +75,79 @@ const getUsers = async (req, res) => {
 const inviteUser = async (req, res) => {
     try {
         const organizationId = req.organizationId;
-        // 1. הוסף את password לרשימת המשתנים מה-body
-        const { fullName, phone, jobTitle, email, role, password } = req.body; 
+        const { fullName, phone, jobTitle, email, role } = req.body;
 
-        // הולידציה שלך כבר מטפלת בשדות חסרים, אבל נוודא שהסיסמה מועברת
-        if (!fullName || !phone || !role || jobTitle === undefined || !email || !password) {
+        if (!fullName || !phone || !role || jobTitle === undefined || !email) {
             return sendErrorResponse(res, 400, translateError("Full name, phone, job title, email, and role are required for invitation."));
         }
 
-        // 2. העבר את password לאובייקט שנשלח לסרוויס
-        const newMembership = await userTeamService.inviteUser(organizationId, { fullName, phone, jobTitle, email, role, password });
-        res.status(201).json(newMembership);
+        // נוצרת הזמנה ונשלח קישור במייל - המוזמן בוחר סיסמה בעצמו כשהוא מאשר
+        const invitation = await invitationService.createInvitation(organizationId, req.user.userId, req.user.role, { fullName, phone, jobTitle, email, role });
+        res.status(201).json(invitation);
     } catch (error) {
         // פיצול תנאי השגיאה כדי לתת הודעה מדויקת
         if (error.message.includes('User is already a member')) {
             return sendErrorResponse(res, 409, translateError("User is already a member")); // 409 Conflict
         }
-        if (error.message.includes('Email format is invalid')) {
-            return sendErrorResponse(res, 400, "האימייל שהוזן אינו תקין.");
-        }
-        if (error.message.includes('Email is already in use')) {
-            return sendErrorResponse(res, 409, "משתמש עם אימייל זה כבר קיים במערכת."); // 409 Conflict
+        if (error.message.includes('pending invitation already exists')) {
+            return sendErrorResponse(res, 409, translateError("pending invitation already exists"));
         }
         if (error.message.includes('Invalid role')) {
             return sendErrorResponse(res, 400, translateError("Invalid role"));
         }
-        
+        if (error.message.includes('cannot assign')) {
+            return sendErrorResponse(res, 403, translateError("cannot assign"));
+        }
+
         // הודעת שגיאה כללית לכל מקרה אחר
         sendErrorResponse(res, 500, translateError("Failed to invite user."), { details: error.message });
     }
 };
 
+/* --- Invitations --- */
+const getInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const invitations = await invitationService.listInvitations(req.organizationId, { status });
+    res.status(200).json(invitations);
+  } catch (error) {
+    if (error.message.includes('Invalid invitation status')) {
+      return sendErrorResponse(res, 400, translateError("Invalid invitation status"));
+    }
+    sendErrorResponse(res, 500, translateError("Failed to retrieve invitations."), { details: error.message });
+  }
+};
+
+const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.resendInvitation(req.params.invitationId, req.organizationId);
+    res.status(200).json(invitation);
+  } catch (error) {
+    if (error.message.includes('Invitation not found')) {
+      return sendErrorResponse(res, 404, translateError("Invitation not found"));
+    }
+    if (error.message.includes('no longer pending')) {
+      return sendErrorResponse(res, 409, translateError("no longer pending"));
+    }
+    sendErrorResponse(res, 500, translateError("Failed to resend invitation."), { details: error.message });
+  }
+};
+
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.revokeInvitation(req.params.invitationId, req.organizationId);
+    res.status(200).json(invitation);
+  } catch (error) {
+    if (error.message.includes('Invitation not found')) {
+      return sendErrorResponse(res, 404, translateError("Invitation not found"));
+    }
+    if (error.message.includes('no longer pending')) {
+      return sendErrorResponse(res, 409, translateError("no longer pending"));
+    }
+    sendErrorResponse(res, 500, translateError("Failed to revoke invitation."), { details: error.message });
+  }
+};
+
 const updateUserRole = async (req, res) => {
   try {
     const { userId } = req.params;
@@ -207,6 +260,40 @@ const updateUserPassword = async (req, res) => {
   }
 };
 
+/* --- ADMIN/SUPER_ADMIN: Unlock account after failed logins --- */
+const unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const organizationId = req.organizationId;
+
+    await userTeamService.unlockUserAccount(userId, organizationId, req.user.role);
+    res.status(200).json({ message: "נעילת החשבון שוחררה בהצלחה." });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return sendErrorResponse(res, 404, translateError("not found"));
+    }
+    if (error.message.includes('permission')) {
+      return sendErrorResponse(res, 403, translateError("permission"));
+    }
+    sendErrorResponse(res, 500, translateError("Failed to unlock user account."), { details: error.message });
+  }
+};
+
+const getUserLogins = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const organizationId = req.organizationId;
+
+    const logins = await loginEventService.getMemberLogins(organizationId, userId, { limit: req.query.limit });
+    res.status(200).json(logins);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return sendErrorResponse(res, 404, translateError("not found"));
+    }
+    sendErrorResponse(res, 500, translateError("Failed to retrieve login history."), { details: error.message });
+  }
+};
+
 /* --- Teams --- */
 const getTeams = async (req, res) => {
   try {
@@ -295,9 +382,14 @@ const deleteTeam = async (req, res) => {
 module.exports = {
   getUsers,
   inviteUser,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
   updateUserRole,
   removeUser,
   updateUserEmail,
+  unlockUser,
+  getUserLogins,
   updateUserPassword,
   getTeams,
   createTeam,
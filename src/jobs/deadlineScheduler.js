@@ -3,9 +3,15 @@ const cron = require('node-cron');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const notificationService = require('../services/notificationService'); // ייבוא שירות ההתראות
+const projectService = require('../services/projectService');
+const milestoneService = require('../services/milestoneService');
+const trashService = require('../services/trashService');
+const { APP_TIME_ZONE, getToday, addDays } = require('../utils/dateUtils');
 
 // הגדרת הזמן (בימים) לפני הדד-ליין לשליחת התראה
 const DAYS_BEFORE_DEADLINE = 3;
+// כמה ימים לפני אבן דרך נשלחת התראה לראשי הצוות של הפרויקט
+const DAYS_BEFORE_MILESTONE = 7;
 
 /**
  * Checks for upcoming task deadlines and sends notifications.
@@ -25,6 +31,8 @@ const checkAndSendDeadlineNotifications = async () => {
     const upcomingTasks = await prisma.task.findMany({
       where: {
         status: { in: ['מתוכנן', 'בתהליך', 'תקוע'] }, // Only active tasks
+        deletedAt: null,
+        project: { deletedAt: null }, // Not in the trash
         endDate: {
           lte: deadlineDate, // End date is less than or equal to deadlineDate (e.g., in 3 days)
           gte: today, // End date is greater than or equal to today
@@ -72,21 +80,126 @@ const checkAndSendDeadlineNotifications = async () => {
   }
 };
 
+/**
+ * Recomputes the stored status, overdue task count and schedule health of all active projects.
+ * Tasks become overdue as days pass without any task being changed, so this runs daily.
+ */
+const refreshProjectHealth = async () => {
+  console.log('Running project health refresh job...');
+  try {
+    const count = await projectService.refreshAllProjectHealth();
+    console.log(`Refreshed health of ${count} projects.`);
+  } catch (error) {
+    console.error('Error in project health refresh job:', error);
+  }
+};
+
+/**
+ * Notifies project leads about milestones that are due soon or were missed.
+ * Each notification is sent once per milestone (re-armed when its due date changes).
+ * Missed milestones also get their status updated, since that depends on the date.
+ */
+const checkAndSendMilestoneNotifications = async () => {
+  console.log('Running milestone check job...');
+  const today = getToday();
+
+  try {
+    const milestones = await prisma.milestone.findMany({
+      where: {
+        completedAt: null,
+        dueDate: { lte: addDays(today, DAYS_BEFORE_MILESTONE) },
+        OR: [
+          { dueDate: { gte: today }, approachingNotifiedAt: null }, // due soon, not notified yet
+          { dueDate: { lt: today }, missedNotifiedAt: null }, // missed, not notified yet
+        ],
+        project: { isArchived: false, deletedAt: null },
+      },
+      include: {
+        project: {
+          select: { id: true, title: true, projectTeamLeads: { select: { userId: true } } }
+        },
+      },
+    });
+
+    console.log(`Found ${milestones.length} milestones to check.`);
+
+    for (const milestone of milestones) {
+      const missed = milestone.dueDate < today;
+      if (missed) {
+        await milestoneService.refreshMilestoneProgress(milestone.id);
+      }
+
+      const dueDate = milestone.dueDate.toLocaleDateString('he-IL');
+      const notificationText = missed
+        ? `Milestone "${milestone.title}" in project "${milestone.project.title}" was due on ${dueDate} and is not complete.`
+        : `Milestone "${milestone.title}" in project "${milestone.project.title}" is due on ${dueDate} (${milestone.completionPercentage}% complete).`;
+      const notificationLink = `/projects/${milestone.projectId}/milestones/${milestone.id}`;
+
+      for (const lead of milestone.project.projectTeamLeads) {
+        await notificationService.createAndSendNotification(
+          lead.userId,
+          missed ? 'milestone_missed' : 'milestone_due',
+          notificationText,
+          notificationLink
+        );
+      }
+
+      await prisma.milestone.update({
+        where: { id: milestone.id },
+        data: missed ? { missedNotifiedAt: new Date() } : { approachingNotifiedAt: new Date() },
+      });
+    }
+  } catch (error) {
+    console.error('Error in milestone check job:', error);
+  }
+};
+
+/**
+ * Permanently deletes projects and tasks that stayed in the trash longer than the retention period.
+ */
+const purgeExpiredTrash = async () => {
+  console.log('Running trash purge job...');
+  try {
+    const { projects, tasks } = await trashService.purgeExpiredTrash();
+    console.log(`Purged ${projects} projects and ${tasks} tasks from the trash.`);
+  } catch (error) {
+    console.error('Error in trash purge job:', error);
+  }
+};
+
 /**
  * Initializes the cron job for deadline notifications.
  * Runs once every day at 00:00 (midnight).
+ * Also refreshes project health daily and once at startup (so existing projects get their values),
+ * checks milestones daily and purges expired items from the trash.
  */
 const startDeadlineScheduler = () => {
   // Cron schedule: '0 0 * * *' means "at 00:00 every day"
   // For testing, you might use '*/1 * * * *' (every minute)
   cron.schedule('0 0 * * *', checkAndSendDeadlineNotifications, {
     scheduled: true,
-    timezone: "Asia/Jerusalem" // או אזור זמן רלוונטי לשרת שלך
+    timezone: APP_TIME_ZONE // אזור הזמן שלפיו מחושב "היום" בבדיקות האיחור
+  });
+  cron.schedule('5 0 * * *', refreshProjectHealth, {
+    scheduled: true,
+    timezone: APP_TIME_ZONE
+  });
+  cron.schedule('10 0 * * *', checkAndSendMilestoneNotifications, {
+    scheduled: true,
+    timezone: APP_TIME_ZONE
+  });
+  cron.schedule('30 0 * * *', purgeExpiredTrash, {
+    scheduled: true,
+    timezone: APP_TIME_ZONE
   });
+  refreshProjectHealth();
   console.log('Deadline scheduler started (runs daily at midnight).');
 };
 
 module.exports = {
   startDeadlineScheduler,
-  checkAndSendDeadlineNotifications // For manual testing if needed
+  checkAndSendDeadlineNotifications, // For manual testing if needed
+  refreshProjectHealth,
+  checkAndSendMilestoneNotifications,
+  purgeExpiredTrash
 };
\ No newline at end of file
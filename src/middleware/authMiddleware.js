@@ -1,14 +1,74 @@
 // src/middleware/authMiddleware.js
 const { verifyToken } = require('../utils/tokenUtils');
+const sessionService = require('../services/sessionService');
+const membershipService = require('../services/membershipService');
+const authService = require('../services/authService');
+const apiTokenService = require('../services/apiTokenService');
+const impersonationService = require('../services/impersonationService');
+const projectMemberService = require('../services/projectMemberService');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Middleware that lets personal access tokens reach the routes of a router.
+ * Must run before authenticateToken. Routes without it reject API tokens, so
+ * tokens only work where a scope resource was declared.
+ * GET/HEAD requests need the '<resource>:read' scope, everything else '<resource>:write'.
+ * @param {string} resource - The scope resource (e.g. 'projects', 'finances').
+ * @returns {function} Express middleware function.
+ */
+const allowApiTokens = (resource) => (req, res, next) => {
+  req.apiTokenResource = resource;
+  next();
+};
+
+/**
+ * Authenticates a personal access token ('pf_...') and checks its scope for this request.
+ * Attaches { userId, organizationId, sessionId: null, apiTokenId, scopes, twoFactorVerified } to req.user.
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  if (!req.apiTokenResource) {
+    return res.status(401).json({ message: 'API tokens are not accepted for this endpoint.' });
+  }
+
+  let apiToken;
+  try {
+    apiToken = await apiTokenService.authenticateApiToken(token);
+  } catch (error) {
+    console.error('Error checking API token:', error);
+    return res.status(500).json({ message: 'Failed to verify API token.' });
+  }
+  if (!apiToken) {
+    return res.status(401).json({ message: 'Invalid, expired or revoked API token.' });
+  }
+
+  const requiredScope = `${req.apiTokenResource}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+  if (!apiToken.scopes.includes(requiredScope)) {
+    return res.status(403).json({ message: `This API token is missing the '${requiredScope}' scope.` });
+  }
+
+  req.user = {
+    userId: apiToken.userId,
+    organizationId: apiToken.organizationId,
+    sessionId: null,
+    apiTokenId: apiToken.id,
+    scopes: apiToken.scopes,
+    twoFactorVerified: apiToken.twoFactorVerified,
+  };
+  next();
+};
 
 /**
  * Middleware to authenticate JWT token from Authorization header.
- * Attaches user payload (userId, organizationId, role) to req.user.
+ * Rejects tokens whose server-side session was revoked (logout / log out everywhere).
+ * Personal access tokens are accepted on routers that declared allowApiTokens.
+ * Requests made with an impersonation token are written to the impersonation log.
+ * Attaches user payload (userId, organizationId, role, sessionId, impersonatorId) to req.user.
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  * @param {function} next - Express next middleware function.
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Expects 'Bearer TOKEN'
 
@@ -16,18 +76,69 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'Authentication token is required.' });
   }
 
+  if (apiTokenService.isApiToken(token)) {
+    return authenticateApiToken(req, res, next, token);
+  }
+
   const decoded = verifyToken(token);
   if (!decoded) {
     return res.status(401).json({ message: 'Invalid or expired token.' });
   }
 
+  let session;
+  try {
+    session = await sessionService.getActiveSession(decoded.sessionId);
+    if (!session) {
+      return res.status(401).json({ message: 'Session has expired or was revoked.' });
+    }
+  } catch (error) {
+    console.error('Error checking session status:', error);
+    return res.status(500).json({ message: 'Failed to verify session.' });
+  }
+
   // Attach the decoded user payload to the request object
-  req.user = decoded; // Contains { userId, organizationId, role }
+  req.user = { ...decoded, twoFactorVerified: session.twoFactorVerified, impersonatorId: session.impersonatorId }; // Contains { userId, organizationId, role, sessionId, twoFactorVerified, impersonatorId }
+
+  if (session.impersonatorId) {
+    logImpersonatedRequest(req, res);
+  }
   next(); // Proceed to the next middleware or route handler
 };
 
+// Writes an audit entry for a request made with an impersonation token once its response is sent
+const logImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    impersonationService.logImpersonatedRequest({
+      sessionId: req.user.sessionId,
+      organizationId: req.user.organizationId,
+      impersonatorId: req.user.impersonatorId,
+      userId: req.user.userId,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+    }).catch(error => console.error('Error writing impersonation log:', error));
+  });
+};
+
+/**
+ * Middleware to block destructive or account-changing actions while a SUPER_ADMIN is impersonating a user.
+ * Must run after authenticateToken.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+const blockWhileImpersonating = (req, res, next) => {
+  if (req.user && req.user.impersonatorId) {
+    return res.status(403).json({ message: 'This action is not allowed while impersonating a user.', impersonating: true });
+  }
+  next();
+};
+
 /**
  * Middleware to ensure the X-Organization-Id header is present.
+ * The header must match the organization the token was issued for; to act in
+ * another organization the client has to call POST /api/auth/switch-organization.
  * Should be used on all routes requiring organization context.
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
@@ -40,35 +151,128 @@ const requireOrganizationId = (req, res, next) => {
     return res.status(400).json({ message: 'X-Organization-Id header is required.' });
   }
 
+  if (req.user && req.user.organizationId !== organizationId) {
+    return res.status(403).json({ message: 'X-Organization-Id does not match the organization of your token. Switch organization first.' });
+  }
+
   // Attach organizationId to req for easy access in controllers
   req.organizationId = organizationId;
   next();
 };
 
 /**
- * Middleware to check user roles based on their membership in the current organization.
- * @param {string[]} allowedRoles - An array of roles that are allowed to access the route.
+ * Middleware to load the user's live membership in the current organization.
+ * The role frozen into the JWT may be stale (demoted or removed users), so the
+ * membership is read from the database (short-lived cache) and its role replaces req.user.role.
+ * Roles with privileged permissions are rejected if the organization requires 2FA and the session did not pass it.
+ * Uses req.organizationId, falling back to the organization of the token.
+ * Attaches the membership (including the role's permissions and level) to req.membership.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+const resolveMembership = async (req, res, next) => {
+  const organizationId = req.organizationId || (req.user && req.user.organizationId);
+
+  if (!req.user || !organizationId) {
+    return res.status(403).json({ message: 'Organization context is missing.' });
+  }
+
+  try {
+    const membership = await membershipService.getMembership(req.user.userId, organizationId);
+    if (!membership) {
+      return res.status(403).json({ message: 'You are not a member of this organization.' });
+    }
+
+    if (membershipService.isTwoFactorRequired(membership, req.user.twoFactorVerified)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role in this organization.', twoFactorRequired: true });
+    }
+
+    req.membership = membership;
+    req.user.role = membership.role;
+    next();
+  } catch (error) {
+    console.error('Error resolving membership:', error);
+    return res.status(500).json({ message: 'Failed to resolve organization membership.' });
+  }
+};
+
+/**
+ * Middleware to check that the user's role in the current organization grants a permission
+ * (see the catalog in utils/permissions.js).
+ * Relies on resolveMembership having run first so the permissions are the current ones.
+ * @param {string} permission - The required permission (e.g. 'finance.view').
  * @returns {function} Express middleware function.
  */
-const authorizeRoles = (allowedRoles) => (req, res, next) => {
-  // Assuming req.user is populated by authenticateToken middleware
-  if (!req.user || !req.user.role) {
-    // This should ideally not happen if authenticateToken runs first, but for safety
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.membership || !Array.isArray(req.membership.permissions)) {
+    // This should ideally not happen if resolveMembership runs first, but for safety
     return res.status(403).json({ message: 'User role information missing.' });
   }
 
-  const userRole = req.user.role;
-
-  if (!allowedRoles.includes(userRole)) {
-    return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+  if (!req.membership.permissions.includes(permission)) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action.', requiredPermission: permission });
   }
 
   next();
 };
 
+/**
+ * Middleware for project routes: passes if the user's organization role grants the permission,
+ * or if the user is an explicit member of the project (req.params.projectId) with at least `minRole`.
+ * Lets e.g. a freelancer who is a MANAGER of one project manage that project's tasks.
+ * @param {string} minRole - The minimum project role ('VIEWER' | 'CONTRIBUTOR' | 'MANAGER').
+ * @param {string} permission - The organization permission that grants access on its own.
+ * @returns {function} Express middleware function.
+ */
+const requireProjectRole = (minRole, permission) => async (req, res, next) => {
+  if (!req.membership || !Array.isArray(req.membership.permissions)) {
+    return res.status(403).json({ message: 'User role information missing.' });
+  }
+  if (req.membership.permissions.includes(permission)) {
+    return next();
+  }
+
+  try {
+    const projectRole = await projectMemberService.getProjectRole(req.params.projectId, req.organizationId, req.user.userId);
+    if (!projectMemberService.isRoleAtLeast(projectRole, minRole)) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action.', requiredPermission: permission, requiredProjectRole: minRole });
+    }
+    req.projectRole = projectRole;
+    next();
+  } catch (error) {
+    console.error('Error resolving project role:', error);
+    return res.status(500).json({ message: 'Failed to resolve project membership.' });
+  }
+};
+
+/**
+ * Middleware to block actions that unverified accounts may not perform (e.g. inviting users).
+ * Must run after authenticateToken.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const verified = await authService.isEmailVerified(req.user.userId);
+    if (!verified) {
+      return res.status(403).json({ message: 'Please verify your email address first.', emailVerificationRequired: true });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking email verification:', error);
+    return res.status(500).json({ message: 'Failed to verify email status.' });
+  }
+};
 
 module.exports = {
   authenticateToken,
   requireOrganizationId,
-  authorizeRoles
+  resolveMembership,
+  requirePermission,
+  requireProjectRole,
+  requireVerifiedEmail,
+  blockWhileImpersonating,
+  allowApiTokens
 };
\ No newline at end of file
@@ -0,0 +1,60 @@
+// src/middleware/socketAuthMiddleware.js
+const { verifyToken } = require('../utils/tokenUtils');
+const sessionService = require('../services/sessionService');
+const membershipService = require('../services/membershipService');
+
+/**
+ * Socket.IO middleware (io.use) that authenticates the handshake with the same JWT used by the REST API.
+ * The token is read from `auth.token` of the client options, or from an 'Authorization: Bearer' header.
+ * Rejects revoked sessions, impersonation sessions, users that are no longer members of the token's organization
+ * and privileged members who did not pass 2FA in an organization that requires it (as resolveMembership does).
+ * Attaches { userId, organizationId, sessionId } to socket.data.user.
+ * @param {object} socket - The connecting socket.
+ * @param {function} next - Callback; called with an Error to refuse the connection.
+ */
+const authenticateSocket = async (socket, next) => {
+  const authHeader = socket.handshake.headers['authorization'];
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return next(new Error('Authentication token is required.'));
+  }
+
+  const decoded = verifyToken(token);
+  if (!decoded || !decoded.sessionId) {
+    return next(new Error('Invalid or expired token.'));
+  }
+
+  try {
+    const session = await sessionService.getActiveSession(decoded.sessionId);
+    if (!session) {
+      return next(new Error('Session has expired or was revoked.'));
+    }
+    // Impersonation is for viewing; chat would send messages in the impersonated user's name
+    if (session.impersonatorId) {
+      return next(new Error('Real-time chat is not available while impersonating a user.'));
+    }
+
+    const membership = await membershipService.getMembership(decoded.userId, decoded.organizationId);
+    if (!membership) {
+      return next(new Error('You are not a member of this organization.'));
+    }
+    if (membershipService.isTwoFactorRequired(membership, session.twoFactorVerified)) {
+      return next(new Error('Two-factor authentication is required for your role in this organization.'));
+    }
+  } catch (error) {
+    console.error('Error authenticating socket:', error);
+    return next(new Error('Failed to verify session.'));
+  }
+
+  socket.data.user = {
+    userId: decoded.userId,
+    organizationId: decoded.organizationId,
+    sessionId: decoded.sessionId,
+  };
+  next();
+};
+
+module.exports = {
+  authenticateSocket,
+};
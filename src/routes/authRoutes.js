@@ -22,17 +22,52 @@ const router = express.Router();
 // ראוטים ציבוריים (ללא אימות)
 router.post('/register', authController.register);
 router.post('/login', authController.login);
-router.post('/otp/send', authController.sendOtp);          // ודא שקיים ב-controller
-router.post('/otp/verify', authController.verifyOtp);      // ודא שקיים ב-controller
+router.post('/login/2fa', authController.verifyTwoFactorLogin);
+router.post('/refresh', authController.refresh);
+router.post('/otp/send', authController.sendOtp);
+router.post('/otp/verify', authController.verifyOtp);
+router.post('/password/forgot', authController.forgotPassword);
+router.post('/password/reset', authController.resetPassword);
+router.post('/email/confirm', authController.confirmEmailChange);
+router.post('/email/verify', authController.verifyEmail);
+router.get('/invitations', authController.getInvitation); // ?token=...
+router.post('/invitations/accept', authController.acceptInvitation);
 
 // ראוטים פרטיים (דורשים אימות)
+router.post('/logout', authMiddleware.authenticateToken, authController.logout);
+router.post('/logout-all', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.logoutAll);
+router.post('/switch-organization', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.switchOrganization);
+router.post('/email/verify/resend', authMiddleware.authenticateToken, authController.resendVerificationEmail);
+
+// אימות דו-שלבי (TOTP)
+router.post('/2fa/setup', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.regenerateBackupCodes);
 router.get('/me/memberships', authMiddleware.authenticateToken, authController.getMyMemberships);
 router.get('/me', authMiddleware.authenticateToken, authController.getMyProfile);
-router.put('/me', authMiddleware.authenticateToken, authController.updateMyProfile);
+router.put('/me', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.updateMyProfile);
+router.put('/me/password', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.changePassword);
+router.post('/me/email', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.requestEmailChange);
+
+// טוקנים אישיים לאינטגרציות - ניהול רק עם התחברות רגילה (טוקן אישי לא מתקבל בראוטים האלה)
+router.get('/me/tokens', authMiddleware.authenticateToken, authController.listApiTokens);
+router.post('/me/tokens', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.createApiToken);
+router.delete('/me/tokens/:tokenId', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.revokeApiToken);
+
+// ייצוא המידע האישי ומחיקת החשבון (אנונימיזציה של תגובות והודעות)
+router.get('/me/export', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.exportMyData);
+router.delete('/me', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.deleteMyAccount);
+
+// מכשירים מחוברים (סשנים פעילים) והיסטוריית התחברויות
+router.get('/me/sessions', authMiddleware.authenticateToken, authController.listMySessions);
+router.delete('/me/sessions/:sessionId', authMiddleware.authenticateToken, authMiddleware.blockWhileImpersonating, authController.revokeMySession);
+router.get('/me/logins', authMiddleware.authenticateToken, authController.getMyLogins);
 
 router.post(
   '/me/profile-picture',
   authMiddleware.authenticateToken,
+  authMiddleware.blockWhileImpersonating,
   upload.single('profilePicture'), // middleware לטיפול בקובץ בודד
   authController.uploadProfilePicture
 );
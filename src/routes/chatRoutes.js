@@ -1,17 +1,18 @@
 // src/routes/chatRoutes.js
 const express = require('express');
 const chatController = require('../controllers/chatController');
-const { authenticateToken, requireOrganizationId } = require('../middleware/authMiddleware');
+const { authenticateToken, requireOrganizationId, resolveMembership, blockWhileImpersonating } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply authentication and organization context middleware to all chat routes
 router.use(authenticateToken);
 router.use(requireOrganizationId);
+router.use(resolveMembership);
 
 router.get('/', chatController.getConversations);
 router.post('/', chatController.createConversation);
 router.get('/:conversationId/messages', chatController.getMessages);
-router.delete('/:conversationId/messages', chatController.deleteMessages);
+router.delete('/:conversationId/messages', blockWhileImpersonating, chatController.deleteMessages);
 
 module.exports = router;
\ No newline at end of file
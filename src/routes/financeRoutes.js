@@ -1,29 +1,31 @@
 // src/routes/financeRoutes.js
 const express = require('express');
 const financeController = require('../controllers/financeController');
-const { authenticateToken, requireOrganizationId, authorizeRoles } = require('../middleware/authMiddleware');
+const { authenticateToken, requireOrganizationId, resolveMembership, requirePermission, allowApiTokens, blockWhileImpersonating } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply authentication and organization context middleware to all finance routes
+router.use(allowApiTokens('finances')); // personal access tokens need the 'finances:read' / 'finances:write' scope
 router.use(authenticateToken);
 router.use(requireOrganizationId);
+router.use(resolveMembership);
 
 router.get(
   '/summary',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('finance.view'),
   financeController.getSummary
 );
 
 router.get(
   '/entries',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('finance.view'),
   financeController.getEntries
 );
 
 router.post(
   '/entries',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('finance.edit'),
   financeController.createEntry
 );
 
@@ -31,13 +33,14 @@ router.post(
 // הנתיב צריך להיות "/:projectId/reset" כדי שיתורגם ל- /api/finances/:projectId/reset
 router.post(
   '/:projectId/reset',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('finance.edit'),
+  blockWhileImpersonating,
   financeController.resetProjectFinances
 );
 
 
-router.put('/:entryId', authorizeRoles(['ADMIN', 'SUPER_ADMIN']), financeController.updateEntry);
-router.delete('/:entryId', authorizeRoles(['ADMIN', 'SUPER_ADMIN']), financeController.deleteEntry);
-router.get('/pdf', authorizeRoles(['ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER']), financeController.generateFinancePDF);
+router.put('/:entryId', requirePermission('finance.edit'), financeController.updateEntry);
+router.delete('/:entryId', requirePermission('finance.edit'), blockWhileImpersonating, financeController.deleteEntry);
+router.get('/pdf', requirePermission('finance.export'), financeController.generateFinancePDF);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+// src/routes/impersonationRoutes.js
+const express = require('express');
+const impersonationController = require('../controllers/impersonationController');
+const { authenticateToken, requireOrganizationId, resolveMembership, blockWhileImpersonating } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply authentication and organization context middleware to all impersonation routes
+router.use(authenticateToken);
+router.use(requireOrganizationId);
+router.use(resolveMembership);
+
+// "צפייה כמשתמש" - SUPER_ADMIN בלבד (נבדק בשירות). הטוקן שמתקבל קצר-מועד ולא ניתן לרענון;
+// מסיימים אותו עם POST /api/auth/logout או פשוט נותנים לו לפוג.
+router.post('/users/:userId', blockWhileImpersonating, impersonationController.startImpersonation);
+router.get('/logs', blockWhileImpersonating, impersonationController.getImpersonationLogs);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// src/routes/milestoneRoutes.js
+const express = require('express');
+const milestoneController = require('../controllers/milestoneController');
+const { requireProjectRole, blockWhileImpersonating } = require('../middleware/authMiddleware'); // authMiddleware כבר מופעל ברמת הפרויקט
+
+const router = express.Router({ mergeParams: true }); // mergeParams allows access to projectId from parent route
+
+router.get('/', milestoneController.getMilestones);
+router.get('/:milestoneId', milestoneController.getMilestoneById);
+
+// אבני דרך הן חלק מתכנון הפרויקט - עריכה דורשת הרשאת עריכת פרויקט או תפקיד MANAGER בפרויקט
+router.post('/', requireProjectRole('MANAGER', 'project.edit'), milestoneController.createMilestone);
+router.put('/:milestoneId', requireProjectRole('MANAGER', 'project.edit'), milestoneController.updateMilestone);
+router.delete('/:milestoneId', requireProjectRole('MANAGER', 'project.edit'), blockWhileImpersonating, milestoneController.deleteMilestone);
+
+module.exports = router;
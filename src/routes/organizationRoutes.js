@@ -2,10 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const organizationService = require('../services/organizationService');
-const { authenticateToken, authorizeRoles, requireOrganizationId } = require('../middleware/authMiddleware'); // הוסף requireOrganizationId אם אתה רוצה לאכוף זאת
+const { authenticateToken, requirePermission, requireOrganizationId, resolveMembership, requireVerifiedEmail, blockWhileImpersonating } = require('../middleware/authMiddleware'); // הוסף requireOrganizationId אם אתה רוצה לאכוף זאת
+
+// הארגון שעליו פועלים נלקח מה-URL, כך שההרשאה נבדקת מול החברות בארגון הזה ולא מול הארגון שבטוקן
+const useOrganizationFromParams = (req, res, next) => {
+    req.organizationId = req.params.id;
+    next();
+};
 
 // POST /api/organizations - Create a new organization
-router.post('/', authenticateToken, authorizeRoles(['SUPER_ADMIN']), async (req, res, next) => {
+router.post('/', authenticateToken, blockWhileImpersonating, resolveMembership, requirePermission('organization.manage'), requireVerifiedEmail, async (req, res, next) => {
     try {
         const { name } = req.body;
         const userId = req.user.userId; 
@@ -22,13 +28,32 @@ router.post('/', authenticateToken, authorizeRoles(['SUPER_ADMIN']), async (req,
     }
 });
 
-router.patch('/:id', authenticateToken, authorizeRoles(['SUPER_ADMIN']), async (req, res, next) => {
+router.patch('/:id', authenticateToken, blockWhileImpersonating, useOrganizationFromParams, resolveMembership, requirePermission('organization.manage'), async (req, res, next) => {
     try {
         const { id } = req.params;
-        const updates = req.body; // יכיל את השם החדש: { name: 'New Org Name' }
+        const { name, requireTwoFactorForAdmins } = req.body; // { name?: 'New Org Name', requireTwoFactorForAdmins?: boolean }
+        const updates = {};
+
+        if (name !== undefined) {
+            if (!name || name.trim() === '') {
+                return res.status(400).json({ message: 'Organization name cannot be empty.' });
+            }
+            updates.name = name;
+        }
+
+        if (requireTwoFactorForAdmins !== undefined) {
+            if (typeof requireTwoFactorForAdmins !== 'boolean') {
+                return res.status(400).json({ message: 'requireTwoFactorForAdmins must be a boolean.' });
+            }
+            // מונע מצב שבו המנהל נועל את עצמו מחוץ לארגון
+            if (requireTwoFactorForAdmins && !req.user.twoFactorVerified) {
+                return res.status(400).json({ message: 'Enable two-factor authentication on your own account before requiring it for admins.' });
+            }
+            updates.requireTwoFactorForAdmins = requireTwoFactorForAdmins;
+        }
 
-        if (!updates.name || updates.name.trim() === '') {
-            return res.status(400).json({ message: 'Organization name cannot be empty.' });
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ message: 'No valid fields provided for update.' });
         }
 
         const updatedOrganization = await organizationService.updateOrganization(id, updates);
@@ -40,7 +65,7 @@ router.patch('/:id', authenticateToken, authorizeRoles(['SUPER_ADMIN']), async (
 });
 
 // DELETE /api/organizations/:id - Delete an organization
-router.delete('/:id', authenticateToken, authorizeRoles(['SUPER_ADMIN']), async (req, res, next) => {
+router.delete('/:id', authenticateToken, blockWhileImpersonating, useOrganizationFromParams, resolveMembership, requirePermission('organization.delete'), async (req, res, next) => {
     try {
         const { id } = req.params;
 
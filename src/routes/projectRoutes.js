@@ -1,45 +1,82 @@
 // src/routes/projectRoutes.js
 const express = require('express');
 const projectController = require('../controllers/projectController');
-const { authenticateToken, requireOrganizationId, authorizeRoles } = require('../middleware/authMiddleware');
+const { authenticateToken, requireOrganizationId, resolveMembership, requirePermission, requireProjectRole, allowApiTokens, blockWhileImpersonating } = require('../middleware/authMiddleware');
 const taskRoutes = require('./taskRoutes'); // ייבוא נתיבי המשימות
+const milestoneRoutes = require('./milestoneRoutes');
 
 const router = express.Router();
 
 // Apply authentication and organization context middleware to all project routes
+router.use(allowApiTokens('projects')); // personal access tokens need the 'projects:read' / 'projects:write' scope
+router.use('/:projectId/finances', allowApiTokens('finances')); // project finance actions need the 'finances:*' scope instead
 router.use(authenticateToken);
 router.use(requireOrganizationId);
+router.use(resolveMembership);
 
 router.get('/', projectController.getProjects);
 
+// לוח מחוונים של תיק הפרויקטים (?teamId=&from=&to=&days=) - מוגבל לפרויקטים שהמשתמש רשאי לראות
+router.get('/portfolio', projectController.getPortfolio);
+
+// סל המחזור - פרויקטים ומשימות שנמחקו (נמחקים סופית אחרי תקופת השמירה)
+router.get('/trash', requirePermission('project.delete'), projectController.getTrash);
+router.post('/trash/projects/:projectId/restore', requirePermission('project.delete'), projectController.restoreProject);
+router.post('/trash/tasks/:taskId/restore', requirePermission('project.delete'), projectController.restoreTask);
+
+// תבניות פרויקטים - לפני הנתיבים עם :projectId
+router.get('/templates', projectController.getProjectTemplates);
+router.get('/templates/:templateId', projectController.getProjectTemplate);
+router.post('/templates', requirePermission('project.create'), projectController.createProjectTemplate);
+router.delete('/templates/:templateId', requirePermission('project.create'), projectController.deleteProjectTemplate);
+router.post('/from-template/:templateId', requirePermission('project.create'), projectController.createProjectFromTemplate);
+router.post('/:projectId/save-as-template', requirePermission('project.create'), projectController.saveProjectAsTemplate);
+
 router.post(
   '/',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('project.create'),
   projectController.createProject
 );
 
 router.put(
   '/:projectId',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER']),
+  requirePermission('project.edit'),
   projectController.updateProject
 );
 
 router.patch(
   '/:projectId',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER']),
+  requirePermission('project.edit'),
   projectController.archiveProject
 );
 
 router.delete(
   '/:projectId',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('project.delete'),
+  blockWhileImpersonating,
   projectController.deleteProject
 );
 
-router.post('/:projectId/finances/reset', authorizeRoles(['ADMIN', 'SUPER_ADMIN']), projectController.resetProjectFinances);
+// עקיפה ידנית של סטטוס הפרויקט ומצב הלו"ז
+router.put('/:projectId/health', requirePermission('project.edit'), projectController.setProjectHealthOverride);
+
+// שכפול פרויקט (משימות, אחראים, צוותים, ראשי צוות ותקציבים; תגובות, רשומות כספים ומצב ארכיון - אופציונלי)
+router.post('/:projectId/clone', requirePermission('project.create'), projectController.cloneProject);
+
+// היסטוריית הפעולות בפרויקט (?cursor=&limit=&actorId=&type=)
+router.get('/:projectId/activity', projectController.getProjectActivity);
+
+// חברי פרויקט ישירים ותפקידם בפרויקט (VIEWER / CONTRIBUTOR / MANAGER)
+router.get('/:projectId/members', projectController.getProjectMembers);
+router.post('/:projectId/members', requireProjectRole('MANAGER', 'project.edit'), projectController.addProjectMember);
+router.put('/:projectId/members/:userId', requireProjectRole('MANAGER', 'project.edit'), projectController.updateProjectMember);
+router.delete('/:projectId/members/:userId', requireProjectRole('MANAGER', 'project.edit'), blockWhileImpersonating, projectController.removeProjectMember);
+
+router.post('/:projectId/finances/reset', requirePermission('finance.edit'), blockWhileImpersonating, projectController.resetProjectFinances);
 
 
 // Nested tasks routes
 router.use('/:projectId/tasks', taskRoutes); // כל הנתיבים תחת '/api/projects/:projectId/tasks' יופנו ל-taskRoutes
+router.use('/:projectId/milestones', milestoneRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+// src/routes/roleRoutes.js
+const express = require('express');
+const roleController = require('../controllers/roleController');
+const { authenticateToken, requireOrganizationId, resolveMembership, requirePermission, blockWhileImpersonating } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply authentication and organization context middleware to all role routes
+router.use(authenticateToken);
+router.use(requireOrganizationId);
+router.use(resolveMembership);
+
+// Any member can list roles and the permission catalog (e.g. for role pickers)
+router.get('/', roleController.getRoles);
+router.get('/permissions', roleController.getPermissions);
+
+router.post('/', requirePermission('role.manage'), roleController.createRole);
+router.put('/:roleId', requirePermission('role.manage'), roleController.updateRole);
+router.delete('/:roleId', requirePermission('role.manage'), blockWhileImpersonating, roleController.deleteRole);
+
+module.exports = router;
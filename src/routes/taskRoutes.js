@@ -1,7 +1,7 @@
 // src/routes/taskRoutes.js
 const express = require('express');
 const taskController = require('../controllers/taskController');
-const { authorizeRoles } = require('../middleware/authMiddleware'); // authMiddleware כבר מופעל ברמת הפרויקט
+const { requireProjectRole, blockWhileImpersonating } = require('../middleware/authMiddleware'); // authMiddleware כבר מופעל ברמת הפרויקט
 
 const router = express.Router({ mergeParams: true }); // mergeParams allows access to projectId from parent route
 
@@ -10,35 +10,35 @@ router.get('/:taskId', taskController.getTaskById); // 💡 הוסף את הנת
 
 router.post(
   '/',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER']),
+  requireProjectRole('MANAGER', 'task.manage'), // or a MANAGER of this project
   taskController.createTask
 );
 
 router.put(
   '/:taskId',
   // Permissions are handled inside the service (assignees vs. managers)
-  // We apply a general authorization that allows anyone who might potentially update a task.
-  // The fine-grained logic is in taskService.updateTask.
-  authorizeRoles(['EMPLOYEE', 'ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER']),
+  // Any member may reach it (e.g. assignees updating status);
+  // the fine-grained logic is in taskService.updateTask.
   taskController.updateTask
 );
 
 router.delete(
   '/:taskId',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER']),
+  requireProjectRole('MANAGER', 'task.manage'),
+  blockWhileImpersonating,
   taskController.deleteTask
 );
 
 router.post(
   '/:taskId/comments',
-  authorizeRoles(['EMPLOYEE', 'ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER']), // Any project member can comment
+  requireProjectRole('CONTRIBUTOR', 'task.comment'), // project access and VIEWER members are checked in the service
   taskController.addCommentToTask
 );
 
 // NEW ROUTE for reordering tasks
 router.patch(
     '/reorder', // No taskId in params here, as it's a bulk update for the project
-    authorizeRoles(['ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER']), // Only managers/admins can reorder
+    requireProjectRole('MANAGER', 'task.manage'), // Only managers/admins can reorder
     taskController.reorderProjectTasks
 );
 
@@ -1,6 +1,6 @@
 const express = require('express');
 const userTeamController = require('../controllers/userTeamController');
-const { authenticateToken, requireOrganizationId, authorizeRoles } = require('../middleware/authMiddleware');
+const { authenticateToken, requireOrganizationId, resolveMembership, requirePermission, requireVerifiedEmail, blockWhileImpersonating } = require('../middleware/authMiddleware');
 const userValidator = require('../validators/userValidator');
 const validateRequest = require('../middleware/validateRequest');
 
@@ -9,32 +9,54 @@ const router = express.Router();
 // Apply authentication and organization context middleware to all routes
 router.use(authenticateToken);
 router.use(requireOrganizationId);
+router.use(resolveMembership);
 
 // User Routes
 router.get(
   '/users',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER', 'EMPLOYEE']),
   userTeamController.getUsers
 );
 
 router.post(
   '/users/invite',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('user.invite'),
+  requireVerifiedEmail, // משתמש שלא אימת את האימייל שלו לא יכול להזמין
   validateRequest(userValidator.inviteUserSchema), // ודא שקובץ הולידציה קיים ותקין
   userTeamController.inviteUser
 );
 
+// הזמנות: רשימה (ברירת מחדל - ממתינות), שליחה חוזרת וביטול
+router.get(
+  '/invitations',
+  requirePermission('user.invite'),
+  userTeamController.getInvitations
+);
+
+router.post(
+  '/invitations/:invitationId/resend',
+  requirePermission('user.invite'),
+  requireVerifiedEmail,
+  userTeamController.resendInvitation
+);
+
+router.delete(
+  '/invitations/:invitationId',
+  requirePermission('user.invite'),
+  userTeamController.revokeInvitation
+);
+
 // Changed path to /users/:userId/membership for role updates
 router.put(
   '/users/:userId/membership', // New path for role updates
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('user.manage'),
   userTeamController.updateUserRole // Renamed controller function
 );
 
 // Changed path to /users/:userId/membership for removing membership
 router.delete(
   '/users/:userId/membership', // New path for removing membership
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('user.manage'),
+  blockWhileImpersonating,
   userTeamController.removeUser
 );
 
@@ -42,39 +64,41 @@ router.delete(
 // עריכת אימייל ע"י אדמין/סופר-אדמין
 router.put(
   '/users/:userId/email',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('user.manage'),
+  blockWhileImpersonating,
   userTeamController.updateUserEmail
 );
 
 // עריכת סיסמה ע"י אדמין/סופר-אדמין
 router.put(
   '/users/:userId/password',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('user.manage'),
+  blockWhileImpersonating,
   userTeamController.updateUserPassword
 );
 
 // Team Routes (No changes here)
 router.get(
   '/teams',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN', 'TEAM_LEADER', 'EMPLOYEE']),
   userTeamController.getTeams
 );
 
 router.post(
   '/teams',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('team.manage'),
   userTeamController.createTeam
 );
 
 router.put(
   '/teams/:teamId',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('team.manage'),
   userTeamController.updateTeam
 );
 
 router.delete(
   '/teams/:teamId',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('team.manage'),
+  blockWhileImpersonating,
   userTeamController.deleteTeam
 );
 
@@ -82,7 +106,8 @@ router.delete(
 // עדכון אימייל:
 router.put(
   '/users/:userId/email',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('user.manage'),
+  blockWhileImpersonating,
   validateRequest(userValidator.updateUserEmailSchema),
   userTeamController.updateUserEmail
 );
@@ -90,9 +115,24 @@ router.put(
 // עדכון סיסמה:
 router.put(
   '/users/:userId/password',
-  authorizeRoles(['ADMIN', 'SUPER_ADMIN']),
+  requirePermission('user.manage'),
+  blockWhileImpersonating,
   validateRequest(userValidator.updateUserPasswordSchema),
   userTeamController.updateUserPassword
 );
 
+// שחרור נעילת חשבון אחרי ניסיונות התחברות כושלים:
+router.post(
+  '/users/:userId/unlock',
+  requirePermission('user.manage'),
+  userTeamController.unlockUser
+);
+
+// היסטוריית ההתחברויות של חבר בארגון (IP, דפדפן/מכשיר ושעה):
+router.get(
+  '/users/:userId/logins',
+  requirePermission('user.manage'),
+  userTeamController.getUserLogins
+);
+
 module.exports = router;
\ No newline at end of file
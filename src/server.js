@@ -12,12 +12,18 @@ const userTeamRoutes = require('./routes/userTeamRoutes');
 const financeRoutes = require('./routes/financeRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const organizationRoutes = require('./routes/organizationRoutes'); // **ייבוא חדש**
+const roleRoutes = require('./routes/roleRoutes');
+const impersonationRoutes = require('./routes/impersonationRoutes');
 
 // ייבוא שירותי התראות ותזמון
 const notificationService = require('./services/notificationService');
+const chatService = require('./services/chatService');
+const { authenticateSocket } = require('./middleware/socketAuthMiddleware');
 const { startDeadlineScheduler } = require('./jobs/deadlineScheduler'); // ייבוא חדש
 
 const app = express();
+// השרת רץ מאחורי reverse proxy - כדי ש-req.ip יחזיר את כתובת הלקוח האמיתית (נדרש להגבלת ניסיונות התחברות)
+app.set('trust proxy', 1);
 const server = http.createServer(app);
 const allowedOrigins = [
   "https://mypland.com",
@@ -75,56 +81,62 @@ app.get('/test-db', async (req, res) => {
 // שימוש בנתיבי ה-API
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
-app.use('/api', userTeamRoutes);
 app.use('/api/finances', financeRoutes);
 app.use('/api/conversations', chatRoutes);
 app.use('/api/organizations', organizationRoutes); // **שימוש בנתיב החדש**
+app.use('/api/roles', roleRoutes);
+app.use('/api/impersonation', impersonationRoutes);
+// נרשם אחרון: ה-middleware של הראוטר הזה (אימות, ארגון) רץ על כל מה שמתחת ל-/api
+app.use('/api', userTeamRoutes);
 
 // --- Socket.IO Real-time Communication ---
+// כל חיבור חייב JWT תקף; זהות המשתמש נלקחת מהטוקן ולא ממה שהלקוח שולח
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
+  const { userId, organizationId } = socket.data.user;
+  console.log(`User connected: ${socket.id} (user ${userId})`);
 
-  socket.on('register_for_notifications', (userId) => {
-    if (typeof userId !== 'string' || userId.trim() === '') {
-      console.warn(`Invalid userId for notification registration received from ${socket.id}:`, userId);
-      return;
-    }
+  // חדר ההתראות של המשתמש המחובר
+  socket.join(userId);
+
+  // נשמר לתאימות עם לקוחות קיימים - ה-userId שנשלח מהלקוח לא בשימוש
+  socket.on('register_for_notifications', () => {
     socket.join(userId);
     console.log(`${socket.id} (user ${userId}) registered for notifications.`);
   });
 
-  socket.on('join_conversation', (conversationId) => {
+  socket.on('join_conversation', async (conversationId) => {
     if (typeof conversationId !== 'string' || conversationId.trim() === '') {
       console.warn(`Invalid conversationId received from ${socket.id}:`, conversationId);
       return;
     }
-    socket.join(conversationId);
-    console.log(`${socket.id} joined conversation room: ${conversationId}`);
+    try {
+      const isParticipant = await chatService.isConversationParticipant(conversationId, userId, organizationId);
+      if (!isParticipant) {
+        socket.emit('error_message', { message: 'You are not a participant of this conversation.' });
+        return;
+      }
+      socket.join(conversationId);
+      console.log(`${socket.id} joined conversation room: ${conversationId}`);
+    } catch (error) {
+      console.error('Error handling join_conversation:', error);
+      socket.emit('error_message', { message: 'Failed to join conversation.' });
+    }
   });
 
   socket.on('send_message', async (payload) => {
-    console.log(`Message received from ${socket.id}:`, payload);
     try {
-        const { conversationId, text, senderId } = payload;
+        const { conversationId, text } = payload || {};
 
-        if (!conversationId || !text || !senderId) {
+        if (!conversationId || !text) {
             console.error('Invalid message payload:', payload);
             socket.emit('error_message', { message: 'Missing data in message payload.' });
             return;
         }
 
-        const newMessage = await prisma.message.create({
-            data: {
-                conversationId: conversationId,
-                senderId: senderId,
-                text: text,
-            },
-            include: {
-                sender: {
-                    select: { id: true, fullName: true, profilePictureUrl: true }
-                }
-            }
-        });
+        // השולח הוא תמיד המשתמש המחובר, גם אם הלקוח שלח senderId
+        const newMessage = await chatService.createMessage(conversationId, userId, organizationId, text);
 
         io.to(conversationId).emit('new_message', {
             id: newMessage.id,
@@ -139,6 +151,10 @@ io.on('connection', (socket) => {
         });
 
     } catch (error) {
+        if (error.message.includes('not a participant')) {
+            socket.emit('error_message', { message: error.message });
+            return;
+        }
         console.error('Error handling send_message:', error);
         socket.emit('error_message', { message: 'Failed to send message.' });
     }
@@ -0,0 +1,220 @@
+// src/services/accountService.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { OWNER_ROLE } = require('../utils/permissions');
+const membershipService = require('./membershipService');
+
+const DELETED_USER_NAME = 'Deleted user';
+const DELETED_EMAIL_DOMAIN = 'deleted.invalid';
+
+/**
+ * Collects everything stored about a user into one JSON-serializable bundle:
+ * profile, memberships, task comments, chat messages, notifications and task assignments.
+ * Secrets (password hash, 2FA secret, token hashes) are never included.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} The export bundle.
+ */
+const exportUserData = async (userId) => {
+  const profile = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      fullName: true,
+      email: true,
+      phone: true,
+      profilePictureUrl: true,
+      jobTitle: true,
+      twoFactorEnabled: true,
+      emailVerifiedAt: true,
+      createdAt: true,
+      updatedAt: true,
+    },
+  });
+  if (!profile) {
+    throw new Error('User profile not found.');
+  }
+
+  const [memberships, comments, messages, notifications, taskAssignments] = await Promise.all([
+    prisma.membership.findMany({
+      where: { userId },
+      select: {
+        role: true,
+        jobTitle: true,
+        createdAt: true,
+        organization: { select: { id: true, name: true } },
+      },
+    }),
+    prisma.comment.findMany({
+      where: { authorId: userId },
+      select: {
+        id: true,
+        content: true,
+        createdAt: true,
+        updatedAt: true,
+        task: { select: { id: true, title: true, projectId: true } },
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.message.findMany({
+      where: { senderId: userId },
+      select: {
+        id: true,
+        conversationId: true,
+        text: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.notification.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        type: true,
+        text: true,
+        link: true,
+        read: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.taskAssignee.findMany({
+      where: { userId },
+      select: {
+        createdAt: true,
+        task: {
+          select: {
+            id: true,
+            title: true,
+            status: true,
+            startDate: true,
+            endDate: true,
+            project: { select: { id: true, title: true } },
+          },
+        },
+      },
+    }),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    memberships,
+    comments,
+    messages,
+    notifications,
+    taskAssignments,
+  };
+};
+
+/**
+ * Returns the organizations in which the user is the only SUPER_ADMIN.
+ * Such a user cannot delete their account, or the organization would be left without an owner.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} [{ id, name }]
+ */
+const getSoleOwnerOrganizations = async (userId) => {
+  const ownerMemberships = await prisma.membership.findMany({
+    where: { userId, role: OWNER_ROLE },
+    select: { organization: { select: { id: true, name: true } } },
+  });
+
+  const result = [];
+  for (const { organization } of ownerMemberships) {
+    const otherOwners = await prisma.membership.count({
+      where: { organizationId: organization.id, role: OWNER_ROLE, userId: { not: userId } },
+    });
+    if (otherOwners === 0) {
+      result.push(organization);
+    }
+  }
+  return result;
+};
+
+/**
+ * Deletes the user's account.
+ * The user row is kept but anonymized, so comments and chat messages they wrote stay in place
+ * and show up as written by "Deleted user". Memberships, team and task assignments, sessions,
+ * tokens, notifications and login history are removed.
+ * @param {string} userId - The ID of the user.
+ * @param {string} password - The current password, as confirmation.
+ * @returns {Promise<object>} { message }
+ */
+const deleteAccount = async (userId, password) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { memberships: { select: { organizationId: true } } },
+  });
+  if (!user || user.deletedAt) {
+    throw new Error('User profile not found.');
+  }
+
+  const valid = await bcrypt.compare(password || '', user.password);
+  if (!valid) {
+    throw new Error('Current password is incorrect.');
+  }
+
+  const soleOwnerOrganizations = await getSoleOwnerOrganizations(userId);
+  if (soleOwnerOrganizations.length > 0) {
+    const names = soleOwnerOrganizations.map(org => org.name).join(', ');
+    throw new Error(`You are the only SUPER_ADMIN of: ${names}. Assign another SUPER_ADMIN or delete the organization first.`);
+  }
+
+  // Nobody knows this password, so the account cannot be logged into again
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  await prisma.$transaction([
+    prisma.membership.deleteMany({ where: { userId } }),
+    prisma.teamMember.deleteMany({ where: { userId } }),
+    prisma.teamLead.deleteMany({ where: { userId } }),
+    prisma.projectTeamLead.deleteMany({ where: { userId } }),
+    prisma.projectMember.deleteMany({ where: { userId } }),
+    prisma.taskAssignee.deleteMany({ where: { userId } }),
+    prisma.conversationParticipant.deleteMany({ where: { userId } }),
+    prisma.notification.deleteMany({ where: { userId } }),
+    prisma.session.deleteMany({ where: { userId } }),
+    prisma.userToken.deleteMany({ where: { userId } }),
+    prisma.apiToken.deleteMany({ where: { userId } }),
+    prisma.loginEvent.deleteMany({ where: { userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        fullName: DELETED_USER_NAME,
+        email: `deleted-${userId}@${DELETED_EMAIL_DOMAIN}`,
+        password: unusablePassword,
+        phone: null,
+        profilePictureUrl: null,
+        jobTitle: null,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: [],
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+        emailVerifiedAt: null,
+        deletedAt: new Date(),
+      },
+    }),
+  ]);
+
+  user.memberships.forEach(m => membershipService.invalidateMembership(userId, m.organizationId));
+
+  if (user.profilePictureUrl) {
+    const filePath = path.join(__dirname, '..', user.profilePictureUrl);
+    if (fs.existsSync(filePath)) {
+      fs.unlink(filePath, (err) => {
+        if (err) console.error('Error deleting profile picture of deleted account:', err);
+      });
+    }
+  }
+
+  return { message: 'Your account has been deleted.' };
+};
+
+module.exports = {
+  exportUserData,
+  deleteAccount,
+};
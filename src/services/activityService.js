@@ -0,0 +1,174 @@
+// src/services/activityService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { buildProjectAccessFilter } = require('./projectMemberService');
+
+const ACTIVITY_TYPES = {
+    TASK_CREATED: 'TASK_CREATED',
+    TASK_UPDATED: 'TASK_UPDATED',
+    TASK_DELETED: 'TASK_DELETED', // moved to the trash
+    TASK_RESTORED: 'TASK_RESTORED',
+    ASSIGNEES_CHANGED: 'ASSIGNEES_CHANGED',
+    COMMENT_ADDED: 'COMMENT_ADDED',
+    BUDGET_UPDATED: 'BUDGET_UPDATED',
+    FINANCE_ENTRY_CREATED: 'FINANCE_ENTRY_CREATED',
+    FINANCE_ENTRY_UPDATED: 'FINANCE_ENTRY_UPDATED',
+    FINANCE_ENTRY_DELETED: 'FINANCE_ENTRY_DELETED',
+    FINANCES_RESET: 'FINANCES_RESET',
+    PROJECT_ARCHIVED: 'PROJECT_ARCHIVED',
+    PROJECT_UNARCHIVED: 'PROJECT_UNARCHIVED',
+    PROJECT_DELETED: 'PROJECT_DELETED', // moved to the trash
+    PROJECT_RESTORED: 'PROJECT_RESTORED',
+};
+// סוגי פעולות שחושפים סכומים - מוצגים רק למי שמורשה לראות נתונים כספיים
+const FINANCE_ACTIVITY_TYPES = [
+    ACTIVITY_TYPES.BUDGET_UPDATED,
+    ACTIVITY_TYPES.FINANCE_ENTRY_CREATED,
+    ACTIVITY_TYPES.FINANCE_ENTRY_UPDATED,
+    ACTIVITY_TYPES.FINANCE_ENTRY_DELETED,
+    ACTIVITY_TYPES.FINANCES_RESET,
+];
+const FINANCE_FIELDS = ['expense'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// תאריכים נשמרים בהיסטוריה כ-YYYY-MM-DD כדי שההשוואה והתצוגה יהיו פשוטות
+const normalizeValue = (value) => {
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (value === undefined) return null;
+    return value;
+};
+
+/**
+ * Compares two versions of a record.
+ * @param {object} before - The record before the change.
+ * @param {object} after - The record after the change.
+ * @param {string[]} fields - The fields to compare.
+ * @returns {object} { field: { from, to } } for every field that changed (empty if nothing changed).
+ */
+const diffFields = (before, after, fields) => {
+    const changes = {};
+    for (const field of fields) {
+        const from = normalizeValue(before[field]);
+        const to = normalizeValue(after[field]);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+};
+
+/**
+ * @param {object[]} budgets - Monthly budgets.
+ * @returns {object[]} [{ year, month, incomeBudget, expenseBudget }] sorted by month, for comparing and storing.
+ */
+const summarizeBudgets = (budgets) => budgets
+    .map(({ year, month, incomeBudget, expenseBudget }) => ({ year, month, incomeBudget, expenseBudget }))
+    .sort((a, b) => a.year - b.year || a.month - b.month);
+
+/**
+ * Adds an entry to a project's activity stream.
+ * The change itself already happened, so a failure here is logged and does not fail the request.
+ * @param {object} entry
+ * @param {string} entry.projectId - The ID of the project.
+ * @param {string} entry.organizationId - The ID of the organization.
+ * @param {string|null} entry.actorId - The user who made the change (null for the system).
+ * @param {string} entry.type - One of ACTIVITY_TYPES.
+ * @param {string} [entry.taskId] - The task the change is about.
+ * @param {object} [entry.data] - Details of the change (e.g. { changes } from diffFields).
+ * @returns {Promise<void>}
+ */
+const recordActivity = async ({ projectId, organizationId, actorId = null, type, taskId = null, data = null }) => {
+    try {
+        await prisma.projectActivity.create({
+            data: { projectId, organizationId, actorId, type, taskId, data },
+        });
+    } catch (error) {
+        console.error(`Failed to record ${type} activity for project ${projectId}:`, error);
+    }
+};
+
+// מסיר מהשינויים שנרשמו שדות כספיים (למשל הוצאה של משימה)
+const withoutFinanceFields = (entry) => {
+    if (!entry.data || !entry.data.changes) return entry;
+    const changes = { ...entry.data.changes };
+    FINANCE_FIELDS.forEach(field => delete changes[field]);
+    return { ...entry, data: { ...entry.data, changes } };
+};
+
+/**
+ * Returns the activity stream of a project, newest first, with cursor pagination.
+ * Users without 'project.view.all' can only read the stream of projects they can see,
+ * and finance and budget entries (and task expense changes) require 'finance.view'.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} userId - The ID of the current user.
+ * @param {string[]} permissions - The permissions of the user's role.
+ * @param {object} [options]
+ * @param {string} [options.cursor] - The `nextCursor` of the previous page.
+ * @param {number} [options.limit=25] - Max 100.
+ * @param {string} [options.actorId] - Only changes made by this user.
+ * @param {string|string[]} [options.type] - Only these activity types (comma separated or array).
+ * @returns {Promise<object>} { data, nextCursor } (nextCursor is null on the last page).
+ */
+const getProjectActivity = async (projectId, organizationId, userId, permissions, { cursor, limit, actorId, type } = {}) => {
+    const canViewFinances = permissions.includes('finance.view');
+    const project = await prisma.project.findFirst({
+        where: {
+            id: projectId,
+            organizationId,
+            deletedAt: null,
+            ...(permissions.includes('project.view.all') ? {} : { OR: buildProjectAccessFilter(userId) }),
+        },
+        select: { id: true },
+    });
+    if (!project) {
+        throw new Error('Project not found in this organization.');
+    }
+
+    const take = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const where = { projectId };
+    if (actorId) where.actorId = actorId;
+    if (type) {
+        const types = (Array.isArray(type) ? type : String(type).split(',')).map(t => t.trim()).filter(Boolean);
+        const invalid = types.filter(t => !ACTIVITY_TYPES[t]);
+        if (invalid.length > 0) {
+            throw new Error(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}.`);
+        }
+        where.type = { in: types };
+    }
+    if (!canViewFinances) {
+        where.type = { ...where.type, notIn: FINANCE_ACTIVITY_TYPES };
+    }
+
+    if (cursor) {
+        const cursorEntry = await prisma.projectActivity.findFirst({ where: { id: cursor, projectId }, select: { id: true } });
+        if (!cursorEntry) {
+            throw new Error('Invalid cursor.');
+        }
+    }
+
+    // מביאים רשומה אחת יותר מהנדרש כדי לדעת אם יש עמוד נוסף
+    const entries = await prisma.projectActivity.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: take + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+        include: { actor: { select: { id: true, fullName: true, profilePictureUrl: true } } },
+    });
+
+    const hasMore = entries.length > take;
+    const page = hasMore ? entries.slice(0, take) : entries;
+    return {
+        data: canViewFinances ? page : page.map(withoutFinanceFields),
+        nextCursor: hasMore ? page[page.length - 1].id : null,
+    };
+};
+
+module.exports = {
+    ACTIVITY_TYPES,
+    diffFields,
+    summarizeBudgets,
+    recordActivity,
+    getProjectActivity,
+};
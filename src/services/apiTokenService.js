@@ -0,0 +1,146 @@
+// src/services/apiTokenService.js
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { hashToken } = require('../utils/tokenUtils');
+
+// Personal access tokens look like 'pf_<64 hex chars>' so they can be told apart from JWTs
+const API_TOKEN_PREFIX = 'pf_';
+const API_TOKEN_SCOPES = ['projects:read', 'projects:write', 'finances:read', 'finances:write'];
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_ACTIVE_TOKENS_PER_USER = 20;
+// lastUsedAt is only written when older than this, to avoid a database write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const tokenSelect = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  organizationId: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true,
+};
+
+/**
+ * @param {string} token - The raw bearer token.
+ * @returns {boolean} True if the token has the personal access token format.
+ */
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * Creates a personal access token bound to the user's current organization.
+ * @param {string} userId - The ID of the user.
+ * @param {string} organizationId - The organization the token can be used in.
+ * @param {object} options
+ * @param {string} options.name - A name to recognize the token by.
+ * @param {string[]} options.scopes - Subset of API_TOKEN_SCOPES.
+ * @param {number} [options.expiresInDays] - Lifetime in days (default 90, max 365).
+ * @param {boolean} [options.twoFactorVerified] - Whether the creating session passed 2FA.
+ * @returns {Promise<object>} The token metadata plus the plain token (shown to the user once).
+ */
+const createApiToken = async (userId, organizationId, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS, twoFactorVerified = false }) => {
+  if (!name || typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Token name is required.');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error('At least one scope is required.');
+  }
+  const invalidScopes = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+  if (invalidScopes.length > 0) {
+    throw new Error(`Invalid scopes: ${invalidScopes.join(', ')}.`);
+  }
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw new Error(`Token expiry must be between 1 and ${MAX_EXPIRY_DAYS} days.`);
+  }
+
+  const activeCount = await prisma.apiToken.count({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+  });
+  if (activeCount >= MAX_ACTIVE_TOKENS_PER_USER) {
+    throw new Error(`You can have at most ${MAX_ACTIVE_TOKENS_PER_USER} active API tokens.`);
+  }
+
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  const apiToken = await prisma.apiToken.create({
+    data: {
+      userId,
+      organizationId,
+      name: name.trim(),
+      tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      tokenHash: hashToken(token),
+      scopes: [...new Set(scopes)],
+      twoFactorVerified,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    },
+    select: tokenSelect,
+  });
+
+  return { ...apiToken, token };
+};
+
+/**
+ * Lists the user's personal access tokens (without the secret).
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>}
+ */
+const listApiTokens = async (userId) => {
+  return prisma.apiToken.findMany({
+    where: { userId },
+    select: tokenSelect,
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Revokes one of the user's personal access tokens.
+ * @param {string} userId - The ID of the user.
+ * @param {string} tokenId - The ID of the token.
+ * @returns {Promise<void>}
+ */
+const revokeApiToken = async (userId, tokenId) => {
+  const result = await prisma.apiToken.updateMany({
+    where: { id: tokenId, userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  if (result.count === 0) {
+    throw new Error('API token not found.');
+  }
+};
+
+/**
+ * Resolves a personal access token sent as a bearer token.
+ * @param {string} token - The plain token.
+ * @returns {Promise<object | null>} The token record ({ id, userId, organizationId, scopes, twoFactorVerified }) or null if invalid, expired or revoked.
+ */
+const authenticateApiToken = async (token) => {
+  const apiToken = await prisma.apiToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    select: { id: true, userId: true, organizationId: true, scopes: true, twoFactorVerified: true, expiresAt: true, lastUsedAt: true, revokedAt: true },
+  });
+  if (!apiToken || apiToken.revokedAt || apiToken.expiresAt < new Date()) {
+    return null;
+  }
+
+  if (!apiToken.lastUsedAt || apiToken.lastUsedAt.getTime() < Date.now() - LAST_USED_UPDATE_INTERVAL_MS) {
+    await prisma.apiToken.update({
+      where: { id: apiToken.id },
+      data: { lastUsedAt: new Date() },
+    });
+  }
+
+  return apiToken;
+};
+
+module.exports = {
+  API_TOKEN_SCOPES,
+  isApiToken,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  authenticateApiToken,
+};
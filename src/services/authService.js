@@ -1,11 +1,45 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
-const { generateToken } = require('../utils/tokenUtils');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+const { generateTwoFactorChallengeToken, verifyTwoFactorChallengeToken, generateOpaqueToken, hashToken } = require('../utils/tokenUtils');
+const loginThrottle = require('../utils/loginThrottle');
+const { generateOtp, hashOtp, sendOtp, verifyOtp } = require('../utils/otpUtils');
+const userTokenService = require('./userTokenService');
+const mailService = require('./mailService');
+const roleService = require('./roleService');
+const loginEventService = require('./loginEventService');
 const fs = require('fs');
 const path = require('path');
 
 const prisma = new PrismaClient();
 
+// הגדרות OTP
+const OTP_TTL_MINUTES = 5;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_SEND_LIMIT = 3; // מספר שליחות מקסימלי לטלפון...
+const OTP_SEND_WINDOW_MINUTES = 15; // ...בחלון הזמן הזה
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_CHANGE_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+const MIN_PASSWORD_LENGTH = 6;
+
+// הגנה מפני ניחוש סיסמאות
+const MAX_FAILED_LOGIN_ATTEMPTS = 5; // אחרי 5 ניסיונות כושלים החשבון ננעל (משך הנעילה ב-loginThrottle.getLockoutEnd)
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid email or password.';
+const TOO_MANY_ATTEMPTS_MESSAGE = 'Too many failed login attempts. Please try again later.';
+// hash קבוע להשוואה כשהמשתמש לא קיים, כדי שזמן התגובה לא יחשוף אילו אימיילים רשומים
+const DUMMY_PASSWORD_HASH = '$2b$10$UMCyOKfee57fc/63oATWoeaAcJBTDMLz70fLGsQXxTvgp9I4leJfy';
+
+/**
+ * בדיקת פורמט אימייל
+ */
+function isValidEmail(email) {
+  return /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/.test(email);
+}
+
 /**
  * הרשמה עם אימייל, סיסמה ושם ארגון:
  * - יוצר משתמש חדש
@@ -26,6 +60,7 @@ const registerUserWithEmail = async (fullName, email, password, organizationName
     const organization = await tx.organization.create({
       data: { name: organizationName }
     });
+    await roleService.seedDefaultRoles(tx, organization.id);
 
     // צור משתמש חדש
     user = await tx.user.create({
@@ -48,46 +83,245 @@ const registerUserWithEmail = async (fullName, email, password, organizationName
     return { user, organization };
   });
 
+  // המשתמש נוצר לא מאומת - שליחת קישור אימות. כשל בשליחה לא מבטל את ההרשמה (אפשר לבקש שליחה חוזרת)
+  try {
+    await sendVerificationEmail(result.user);
+  } catch (error) {
+    console.error('Failed to send verification email after registration:', error);
+  }
+
   return {
-    message: 'Registration successful.',
-    user: { id: result.user.id, email: result.user.email },
+    message: 'Registration successful. Please check your email to verify your address.',
+    user: { id: result.user.id, email: result.user.email, emailVerified: false },
     organization: { id: result.organization.id, name: result.organization.name }
   };
 };
 
+/**
+ * שליחת קישור אימות אימייל (הקישור הקודם, אם נשלח, מבוטל)
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await userTokenService.issueToken(user.id, userTokenService.USER_TOKEN_TYPES.EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_MINUTES, { email: user.email });
+  const verifyLink = mailService.buildAppLink('/verify-email', { token });
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Verify your ProjectFlow email address',
+    text: `Hi ${user.fullName},\n\nWelcome to ProjectFlow! Please confirm your email address using the link below. The link is valid for 24 hours.\n\n${verifyLink}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
+/**
+ * אימות אימייל עם הטוקן מהמייל
+ */
+const verifyEmail = async (token) => {
+  const record = await userTokenService.consumeToken(token, userTokenService.USER_TOKEN_TYPES.EMAIL_VERIFICATION);
+
+  const user = await prisma.user.findUnique({ where: { id: record.userId } });
+  // הקישור תקף רק לכתובת שאליה נשלח
+  if (!user || user.email !== record.email) {
+    throw new Error('Invalid or expired token.');
+  }
+
+  if (!user.emailVerifiedAt) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerifiedAt: new Date() },
+    });
+  }
+
+  return { message: 'Email address verified successfully.' };
+};
+
+/**
+ * שליחה חוזרת של קישור אימות אימייל למשתמש המחובר
+ */
+const resendVerificationEmail = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User profile not found.');
+  }
+  if (user.emailVerifiedAt) {
+    throw new Error('Email address is already verified.');
+  }
+
+  const lastSentAt = await userTokenService.getLastIssuedAt(userId, userTokenService.USER_TOKEN_TYPES.EMAIL_VERIFICATION);
+  if (lastSentAt && lastSentAt > new Date(Date.now() - EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000)) {
+    throw new Error('Please wait before requesting another verification email.');
+  }
+
+  await sendVerificationEmail(user);
+  return { message: 'A verification link has been sent to your email address.' };
+};
+
+/**
+ * האם המשתמש אימת את כתובת האימייל שלו
+ */
+const isEmailVerified = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { emailVerifiedAt: true },
+  });
+  return !!(user && user.emailVerifiedAt);
+};
+
+/**
+ * רישום ניסיון התחברות כושל לחשבון - נעילה זמנית אחרי MAX_FAILED_LOGIN_ATTEMPTS ניסיונות
+ * המונה מקודם באופן אטומי, כך שניסיונות מקבילים לא דורסים זה את זה
+ */
+const registerFailedLogin = async (user) => {
+  const { failedLoginAttempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true },
+  });
+
+  if (failedLoginAttempts % MAX_FAILED_LOGIN_ATTEMPTS === 0) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lockedUntil: loginThrottle.getLockoutEnd(failedLoginAttempts / MAX_FAILED_LOGIN_ATTEMPTS) },
+    });
+  }
+};
+
 /**
  * התחברות עם אימייל וסיסמה בלבד
  * - מחזיר טוקן JWT, פרטי משתמש, והרשאות בכל הארגונים שלו.
+ * - שגיאה אחידה למשתמש לא קיים ולסיסמה שגויה
+ * - השהייה הולכת וגדלה ונעילה זמנית לפי IP ולפי חשבון
+ * - ip ו-userAgent נשמרים בסשן ובהיסטוריית ההתחברויות
  */
-const loginWithEmail = async (email, password) => {
+const loginWithEmail = async (email, password, ip, userAgent) => {
+  if (loginThrottle.isBlocked(ip)) {
+    throw new Error(TOO_MANY_ATTEMPTS_MESSAGE);
+  }
+  await loginThrottle.applyDelay(ip);
+
   const user = await prisma.user.findUnique({
     where: { email },
     include: { memberships: { include: { organization: true } } },
   });
   if (!user) {
-    throw new Error('User not found.');
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    loginThrottle.recordFailure(ip);
+    throw new Error(INVALID_CREDENTIALS_MESSAGE);
+  }
+
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    loginThrottle.recordFailure(ip);
+    throw new Error(TOO_MANY_ATTEMPTS_MESSAGE);
   }
 
   const valid = await bcrypt.compare(password, user.password);
   if (!valid) {
-    throw new Error('Invalid password.');
+    await registerFailedLogin(user);
+    loginThrottle.recordFailure(ip);
+    throw new Error(INVALID_CREDENTIALS_MESSAGE);
   }
 
+  if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginAttempts: 0, lockedUntil: null },
+    });
+  }
+
+  return completeLogin(user, { method: loginEventService.LOGIN_METHODS.PASSWORD, ip, userAgent });
+};
+
+/**
+ * סיום שלב ההתחברות הראשון (סיסמה / OTP):
+ * - אם למשתמש מופעל אימות דו-שלבי, מחזיר challengeToken לשלב השני במקום טוקנים
+ * - אחרת יוצר סשן ומחזיר את תגובת ההתחברות
+ * client: { method, ip, userAgent } - לתיעוד ההתחברות
+ */
+const completeLogin = async (user, client) => {
+  if (user.twoFactorEnabled) {
+    // רק האתגר האחרון בתוקף; ה-hash שלו נשמר כדי שאפשר יהיה לבטל אותו
+    const challengeId = generateOpaqueToken();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorChallengeHash: hashToken(challengeId) },
+    });
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallengeToken(user.id, challengeId),
+    };
+  }
+  return buildLoginResponse(user, client);
+};
+
+/**
+ * שלב שני של ההתחברות - אימות קוד TOTP או קוד גיבוי
+ * - האתגר חד-פעמי ומבוטל אחרי יותר מדי קודים שגויים
+ * - חשבון נעול נדחה גם בשלב הזה
+ */
+const verifyTwoFactorLogin = async (challengeToken, code, ip, userAgent) => {
+  if (loginThrottle.isBlocked(ip)) {
+    throw new Error(TOO_MANY_ATTEMPTS_MESSAGE);
+  }
+  await loginThrottle.applyDelay(ip);
+
+  const challenge = verifyTwoFactorChallengeToken(challengeToken);
+  if (!challenge) {
+    throw new Error('Invalid or expired two-factor challenge.');
+  }
+  const challengeHash = hashToken(challenge.challengeId);
+
+  const user = await prisma.user.findUnique({
+    where: { id: challenge.userId },
+    include: { memberships: { include: { organization: true } } },
+  });
+  if (!user || user.twoFactorChallengeHash !== challengeHash) {
+    loginThrottle.recordFailure(ip);
+    throw new Error('Invalid or expired two-factor challenge.');
+  }
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    loginThrottle.recordFailure(ip);
+    throw new Error(TOO_MANY_ATTEMPTS_MESSAGE);
+  }
+
+  if (!(await twoFactorService.verifyTwoFactorCode(user, code))) {
+    await twoFactorService.registerFailedTwoFactorAttempt(user.id);
+    loginThrottle.recordFailure(ip);
+    throw new Error('Invalid two-factor code.');
+  }
+
+  // צריכת האתגר - רק בקשה אחת יכולה להשתמש בו
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, twoFactorChallengeHash: challengeHash },
+    data: { twoFactorChallengeHash: null, twoFactorFailedAttempts: 0 },
+  });
+  if (count === 0) {
+    throw new Error('Invalid or expired two-factor challenge.');
+  }
+
+  return buildLoginResponse(user, { twoFactorVerified: true, method: loginEventService.LOGIN_METHODS.TWO_FACTOR, ip, userAgent });
+};
+
+/**
+ * יוצר סשן, מתעד את ההתחברות ומחזיר את תגובת ההתחברות (טוקנים, פרטי משתמש וחברויות)
+ * user חייב לכלול memberships עם organization
+ */
+const buildLoginResponse = async (user, { twoFactorVerified = false, method, ip = null, userAgent = null }) => {
   if (!user.memberships || user.memberships.length === 0) {
     throw new Error('User has no active memberships. Please contact support.');
   }
   const defaultMembership = user.memberships[0];
-  const token = generateToken(user.id, defaultMembership.organizationId, defaultMembership.role);
+  const { token, refreshToken, sessionId } = await sessionService.createSession(user.id, defaultMembership.organizationId, defaultMembership.role, { twoFactorVerified, ip, userAgent });
+  await loginEventService.recordLogin(user.id, sessionId, { method, ip, userAgent });
 
   return {
     token,
+    refreshToken,
     user: {
       id: user.id,
       fullName: user.fullName,
       email: user.email,
       profilePictureUrl: user.profilePictureUrl,
       jobTitle: user.jobTitle,
-      role: defaultMembership.role
+      role: defaultMembership.role,
+      emailVerified: !!user.emailVerifiedAt
     },
     memberships: user.memberships.map(m => ({
       organizationId: m.organizationId,
@@ -97,6 +331,311 @@ const loginWithEmail = async (email, password) => {
   };
 };
 
+/**
+ * שליחת קוד OTP לכניסה עם טלפון:
+ * - מגביל את מספר הבקשות לכל טלפון, בין אם הוא רשום ובין אם לא
+ * - שומר רק hash של הקוד, עם תוקף ומונה ניסיונות
+ * אם אין משתמש עם הטלפון הזה, מחזירים את אותה תשובה בלי לשלוח (כדי לא לחשוף אילו מספרים רשומים)
+ */
+const sendLoginOtp = async (phone) => {
+  const windowStart = new Date(Date.now() - OTP_SEND_WINDOW_MINUTES * 60 * 1000);
+  // קודם רושמים את הבקשה ורק אז סופרים, כך שבקשות מקבילות לא יכולות לעבור יחד את המגבלה
+  await prisma.otpSendAttempt.deleteMany({ where: { phone, createdAt: { lt: windowStart } } });
+  await prisma.otpSendAttempt.create({ data: { phone } });
+  const recentSends = await prisma.otpSendAttempt.count({
+    where: { phone, createdAt: { gte: windowStart } },
+  });
+  if (recentSends > OTP_SEND_LIMIT) {
+    throw new Error('Too many OTP requests. Please try again later.');
+  }
+
+  const user = await prisma.user.findFirst({ where: { phone } });
+  if (!user) {
+    return { message: 'OTP sent successfully.' };
+  }
+
+  const otpCode = generateOtp();
+  await prisma.$transaction([
+    // קוד חדש מבטל את הקודים הקודמים שעוד לא נוצלו
+    prisma.phoneOtp.updateMany({
+      where: { phone, consumedAt: null },
+      data: { consumedAt: new Date() },
+    }),
+    prisma.phoneOtp.create({
+      data: {
+        phone,
+        codeHash: hashOtp(phone, otpCode),
+        expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000),
+      },
+    }),
+  ]);
+
+  await sendOtp(phone, otpCode);
+  return { message: 'OTP sent successfully.' };
+};
+
+/**
+ * אימות קוד OTP והתחברות
+ */
+const verifyLoginOtp = async (phone, otpCode, ip, userAgent) => {
+  if (loginThrottle.isBlocked(ip)) {
+    throw new Error(TOO_MANY_ATTEMPTS_MESSAGE);
+  }
+  await loginThrottle.applyDelay(ip);
+
+  const otp = await prisma.phoneOtp.findFirst({
+    where: { phone, consumedAt: null },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!otp || otp.expiresAt < new Date()) {
+    loginThrottle.recordFailure(ip);
+    throw new Error('Invalid or expired OTP.');
+  }
+
+  // תפיסת ניסיון לפני ההשוואה, באופן אטומי - בקשות מקבילות לא יכולות לעבור יחד את מגבלת הניסיונות
+  const attempt = await prisma.phoneOtp.updateMany({
+    where: { id: otp.id, consumedAt: null, attempts: { lt: OTP_MAX_ATTEMPTS } },
+    data: { attempts: { increment: 1 } },
+  });
+  if (attempt.count === 0) {
+    loginThrottle.recordFailure(ip);
+    throw new Error('Too many failed OTP attempts. Please request a new code.');
+  }
+
+  if (!verifyOtp(phone, otpCode, otp.codeHash)) {
+    loginThrottle.recordFailure(ip);
+    throw new Error('Invalid or expired OTP.');
+  }
+
+  // סימון הקוד כמנוצל - רק אם עוד לא נוצל במקביל
+  const consumed = await prisma.phoneOtp.updateMany({
+    where: { id: otp.id, consumedAt: null },
+    data: { consumedAt: new Date() },
+  });
+  if (consumed.count === 0) {
+    throw new Error('Invalid or expired OTP.');
+  }
+
+  const user = await prisma.user.findFirst({
+    where: { phone },
+    include: { memberships: { include: { organization: true } } },
+  });
+  if (!user) {
+    throw new Error('Invalid or expired OTP.');
+  }
+  // חשבון נעול (ניחוש סיסמה או קודי 2FA) לא יכול לעקוף את הנעילה בהתחברות עם OTP
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    throw new Error(TOO_MANY_ATTEMPTS_MESSAGE);
+  }
+
+  return completeLogin(user, { method: loginEventService.LOGIN_METHODS.OTP, ip, userAgent });
+};
+
+/**
+ * בקשת איפוס סיסמה:
+ * - שולח למייל קישור חד-פעמי עם תוקף
+ * - מחזיר תמיד את אותה תשובה, גם אם המייל לא קיים במערכת
+ */
+const requestPasswordReset = async (email) => {
+  const response = { message: 'If an account with this email exists, a password reset link has been sent.' };
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user) {
+    return response;
+  }
+
+  const token = await userTokenService.issueToken(user.id, userTokenService.USER_TOKEN_TYPES.PASSWORD_RESET, PASSWORD_RESET_TTL_MINUTES);
+  const resetLink = mailService.buildAppLink('/reset-password', { token });
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Reset your ProjectFlow password',
+    text: `Hi ${user.fullName},\n\nUse the link below to choose a new password. The link is valid for ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.\n\n${resetLink}\n\nIf you did not request a password reset, you can ignore this email.`,
+  });
+
+  return response;
+};
+
+/**
+ * איפוס סיסמה עם הטוקן מהמייל:
+ * - הטוקן נצרך (חד-פעמי)
+ * - כל הסשנים הקיימים של המשתמש מבוטלים
+ */
+const resetPassword = async (token, newPassword) => {
+  if (!newPassword || typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new Error('Password must be at least 6 characters.');
+  }
+
+  const record = await userTokenService.consumeToken(token, userTokenService.USER_TOKEN_TYPES.PASSWORD_RESET);
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+  await prisma.user.update({
+    where: { id: record.userId },
+    // איפוס סיסמה דרך המייל משחרר גם נעילה של החשבון
+    data: { password: hashedPassword, failedLoginAttempts: 0, lockedUntil: null },
+  });
+  await sessionService.revokeAllSessions(record.userId);
+
+  return { message: 'Password has been reset successfully. Please log in again.' };
+};
+
+/**
+ * שינוי סיסמה ע"י המשתמש עצמו:
+ * - דורש את הסיסמה הנוכחית
+ * - כל הסשנים האחרים של המשתמש מבוטלים, הסשן הנוכחי נשאר פעיל
+ */
+const changePassword = async (userId, sessionId, currentPassword, newPassword) => {
+  if (!newPassword || typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new Error('Password must be at least 6 characters.');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User profile not found.');
+  }
+
+  const valid = await bcrypt.compare(currentPassword, user.password);
+  if (!valid) {
+    throw new Error('Current password is incorrect.');
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+  await prisma.user.update({
+    where: { id: userId },
+    data: { password: hashedPassword },
+  });
+  await sessionService.revokeAllSessions(userId, sessionId);
+
+  return { message: 'Password changed successfully.' };
+};
+
+/**
+ * בקשת שינוי אימייל:
+ * - דורש את הסיסמה הנוכחית
+ * - האימייל לא משתנה מיד - נשלח קישור אישור לכתובת החדשה
+ */
+const requestEmailChange = async (userId, currentPassword, newEmail) => {
+  const email = String(newEmail).trim();
+  if (!isValidEmail(email)) {
+    throw new Error('Email format is invalid.');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User profile not found.');
+  }
+
+  const valid = await bcrypt.compare(currentPassword, user.password);
+  if (!valid) {
+    throw new Error('Current password is incorrect.');
+  }
+  if (email === user.email) {
+    throw new Error('New email must be different from the current email.');
+  }
+
+  const existingUser = await prisma.user.findUnique({ where: { email } });
+  if (existingUser) {
+    throw new Error('Email is already in use.');
+  }
+
+  const token = await userTokenService.issueToken(userId, userTokenService.USER_TOKEN_TYPES.EMAIL_CHANGE, EMAIL_CHANGE_TTL_MINUTES, { email });
+  const confirmLink = mailService.buildAppLink('/confirm-email-change', { token });
+
+  await mailService.sendMail({
+    to: email,
+    subject: 'Confirm your new ProjectFlow email address',
+    text: `Hi ${user.fullName},\n\nYou asked to change the email address of your ProjectFlow account to this address. Use the link below to confirm. The link is valid for ${EMAIL_CHANGE_TTL_MINUTES} minutes and can be used once.\n\n${confirmLink}\n\nIf you did not request this change, you can ignore this email.`,
+  });
+
+  return { message: 'A confirmation link has been sent to the new email address.' };
+};
+
+/**
+ * אישור שינוי אימייל עם הטוקן מהמייל:
+ * - האימייל מתעדכן רק כאן
+ * - הכתובת הישנה מקבלת הודעה על השינוי
+ */
+const confirmEmailChange = async (token) => {
+  const record = await userTokenService.consumeToken(token, userTokenService.USER_TOKEN_TYPES.EMAIL_CHANGE);
+
+  const user = await prisma.user.findUnique({ where: { id: record.userId } });
+  if (!user) {
+    throw new Error('Invalid or expired token.');
+  }
+
+  // ייתכן שהכתובת נתפסה ע"י משתמש אחר מאז שנשלח הקישור
+  const existingUser = await prisma.user.findUnique({ where: { email: record.email } });
+  if (existingUser) {
+    throw new Error('Email is already in use.');
+  }
+
+  const oldEmail = user.email;
+  await prisma.user.update({
+    where: { id: user.id },
+    // הקישור נפתח מהכתובת החדשה, כך שהיא מאומתת
+    data: { email: record.email, emailVerifiedAt: new Date() },
+  });
+
+  try {
+    await mailService.sendMail({
+      to: oldEmail,
+      subject: 'Your ProjectFlow email address was changed',
+      text: `Hi ${user.fullName},\n\nThe email address of your ProjectFlow account was changed from ${oldEmail} to ${record.email}.\n\nIf you did not make this change, please contact your organization administrator immediately.`,
+    });
+  } catch (error) {
+    // השינוי כבר בוצע - כשל בשליחת ההודעה לא אמור להחזיר שגיאה למשתמש
+    console.error('Failed to notify old email address about email change:', error);
+  }
+
+  return { message: 'Email address updated successfully.', email: record.email };
+};
+
+/**
+ * חידוש טוקן גישה באמצעות refresh token (עם רוטציה של ה-refresh token)
+ */
+const refreshAccessToken = async (refreshToken) => {
+  return sessionService.refreshSession(refreshToken);
+};
+
+/**
+ * התנתקות מהסשן הנוכחי
+ */
+const logout = async (sessionId) => {
+  await sessionService.revokeSession(sessionId);
+};
+
+/**
+ * התנתקות מכל המכשירים - ביטול כל הסשנים של המשתמש
+ */
+const logoutAll = async (userId) => {
+  const revokedCount = await sessionService.revokeAllSessions(userId);
+  return { revokedCount };
+};
+
+/**
+ * מעבר לארגון אחר:
+ * - מוודא שהמשתמש חבר בארגון המבוקש
+ * - מנפיק טוקן חדש עם הארגון וההרשאה של המשתמש בו
+ */
+const switchOrganization = async (userId, sessionId, organizationId) => {
+  const membership = await prisma.membership.findUnique({
+    where: { userId_organizationId: { userId, organizationId } },
+    include: { organization: true },
+  });
+  if (!membership) {
+    throw new Error('You are not a member of this organization.');
+  }
+
+  const token = await sessionService.switchSessionOrganization(sessionId, userId, organizationId, membership.role);
+
+  return {
+    token,
+    organizationId: membership.organizationId,
+    role: membership.role,
+    organization: membership.organization,
+  };
+};
+
 /**
  * מחזיר את כל החברות של המשתמש בארגונים
  */
@@ -124,6 +663,7 @@ const getMyProfile = async (userId) => {
       email: true,
       profilePictureUrl: true,
       jobTitle: true,
+      emailVerifiedAt: true,
       createdAt: true,
       updatedAt: true
     },
@@ -199,7 +739,22 @@ const updateProfilePicture = async (userId, filePath) => {
 module.exports = {
   registerUserWithEmail,    // הרשמה עם אימייל וסיסמה בלבד ומימוש חברות בארגון
   loginWithEmail,           // התחברות עם אימייל וסיסמה בלבד
+  verifyTwoFactorLogin,     // שלב שני בהתחברות למשתמשים עם אימות דו-שלבי
+  refreshAccessToken,
+  logout,
+  logoutAll,
+  switchOrganization,
+  sendLoginOtp,
+  verifyLoginOtp,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  isEmailVerified,
   getMyMemberships,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
   getMyProfile,
   updateMyProfile,
   updateProfilePicture,
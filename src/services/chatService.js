@@ -104,7 +104,7 @@ const createConversation = async (organizationId, creatorId, { type, participant
             },
             include: {
                 participants: { include: { user: { select: { id: true, fullName: true, profilePictureUrl: true } } } },
-                messages: { take: 1, orderBy: { createdAt: 'desc' }, include: { sender: true } }
+                messages: { take: 1, orderBy: { createdAt: 'desc' }, include: { sender: { select: { id: true, fullName: true } } } }
             }
         });
 
@@ -141,7 +141,7 @@ const createConversation = async (organizationId, creatorId, { type, participant
                 }
             },
             messages: {
-                include: { sender: true }
+                include: { sender: { select: { id: true, fullName: true } } }
             }
         }
     });
@@ -247,9 +247,66 @@ const getMessagesForConversation = async (conversationId, userId, organizationId
   };
 };
 
+/**
+ * Checks whether a user participates in a conversation of the given organization.
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} userId - The ID of the user.
+ * @param {string} organizationId - The ID of the current organization.
+ * @returns {Promise<boolean>}
+ */
+const isConversationParticipant = async (conversationId, userId, organizationId) => {
+  const participant = await prisma.conversationParticipant.findFirst({
+    where: {
+      conversationId,
+      userId,
+      conversation: { organizationId },
+    },
+    select: { id: true },
+  });
+  return !!participant;
+};
+
+/**
+ * Creates a message in a conversation on behalf of a participant.
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} senderId - The ID of the authenticated sender.
+ * @param {string} organizationId - The ID of the current organization.
+ * @param {string} text - The message text.
+ * @returns {Promise<object>} The new message, including its sender.
+ */
+const createMessage = async (conversationId, senderId, organizationId, text) => {
+  if (!(await isConversationParticipant(conversationId, senderId, organizationId))) {
+    throw new Error('You are not a participant of this conversation.');
+  }
+
+  const [newMessage] = await prisma.$transaction([
+    prisma.message.create({
+      data: {
+        conversationId,
+        senderId,
+        text,
+      },
+      include: {
+        sender: {
+          select: { id: true, fullName: true, profilePictureUrl: true }
+        }
+      }
+    }),
+    // Keeps the conversation list ordered by latest activity
+    prisma.conversation.update({
+      where: { id: conversationId },
+      data: { updatedAt: new Date() },
+    }),
+  ]);
+
+  return newMessage;
+};
+
 module.exports = {
   getAllConversations,
   createConversation,
   getMessagesForConversation,
   deleteConversationMessages,
+  isConversationParticipant,
+  createMessage,
 };
\ No newline at end of file
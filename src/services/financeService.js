@@ -6,6 +6,23 @@ const getBidiString = require('bidi-js');
 const PDFDocumentWithTables = require('pdfkit-table');
 
 const prisma = new PrismaClient();
+const activityService = require('./activityService');
+
+const { ACTIVITY_TYPES } = activityService;
+// Finance entry fields whose changes are recorded in the project activity stream
+const TRACKED_ENTRY_FIELDS = ['type', 'amount', 'description', 'date', 'taskId', 'vatPercentage', 'deductions', 'netAmount', 'status', 'notes'];
+
+const summarizeEntry = (entry) => ({
+    entryId: entry.id,
+    type: entry.type,
+    amount: entry.amount,
+    netAmount: entry.netAmount,
+    description: entry.description,
+    date: entry.date ? entry.date.toISOString().split('T')[0] : null,
+});
+
+// רשומות של פרויקטים שבסל המחזור לא נספרות (רשומות כלליות, בלי פרויקט, כן נספרות)
+const NOT_IN_TRASH = { NOT: { project: { is: { deletedAt: { not: null } } } } };
 
 // פונקציית RTL משופרת ומוגנת
 const rtl = (text) => {
@@ -34,7 +51,8 @@ const getProjectName = async (projectId) => {
 const getDetailedFinanceEntries = async (organizationId, projectId) => {
     const findOptions = {
         where: {
-            organizationId: organizationId
+            organizationId: organizationId,
+            ...NOT_IN_TRASH
         },
         include: {
             project: {
@@ -80,18 +98,19 @@ const calculateNetAmount = (amount, vatPercentage, deductions) => {
  * Retrieves finance summary (total income, expenses, balance, and total project budget)
  * for an organization, optionally filtered by project.
  * @param {string} organizationId - The ID of the current organization.
- * @param {string} userRole - The role of the user performing the action.
+ * @param {string[]} permissions - The permissions of the user's role.
  * @param {string} [projectId] - Optional project ID to filter by. 'all' means no project filter.
  * @returns {Promise<object>} FinanceSummary object.
  */
-const getFinanceSummary = async (organizationId, userRole, projectId) => {
-    // 💡 תיקון: אם המשתמש אינו אדמין או סופר אדמין, זרוק שגיאת הרשאה
-    if (userRole !== 'SUPER_ADMIN' && userRole !== 'ADMIN') {
+const getFinanceSummary = async (organizationId, permissions, projectId) => {
+    // 💡 תיקון: אם לתפקיד אין הרשאת צפייה בכספים, זרוק שגיאת הרשאה
+    if (!permissions.includes('finance.view')) {
         throw new Error('You do not have permission to view financial data.');
     }
     
     const financeEntryWhereClause = {
         organizationId: organizationId,
+        ...NOT_IN_TRASH,
     };
     if (projectId && projectId !== 'all') {
         financeEntryWhereClause.projectId = projectId;
@@ -116,6 +135,7 @@ const getFinanceSummary = async (organizationId, userRole, projectId) => {
         monthlyBudgetWhereClause.projectId = projectId;
     } else {
         monthlyBudgetWhereClause.organizationId = organizationId;
+        monthlyBudgetWhereClause.project = { deletedAt: null };
     }
 
     const projectBudgetsAggregate = await prisma.monthlyBudget.aggregate({
@@ -142,25 +162,26 @@ const getFinanceSummary = async (organizationId, userRole, projectId) => {
  * Retrieves a list of all financial entries for an organization,
  * optionally filtered by project, with pagination and sorting.
  * @param {string} organizationId - The ID of the current organization.
- * @param {string} userRole - The role of the user performing the action.
+ * @param {string[]} permissions - The permissions of the user's role.
  * @param {object} options - Pagination and sorting options.
  * @returns {Promise<object>} Paginated list of finance entries.
  */
-const getFinanceEntries = async (organizationId, userRole, { projectId, page = 1, limit = 25, sortBy = 'date', sortOrder = 'desc' }) => {
-    // 💡 תיקון: אם המשתמש אינו אדמין או סופר אדמין, זרוק שגיאת הרשאה
-    if (userRole !== 'SUPER_ADMIN' && userRole !== 'ADMIN') {
+const getFinanceEntries = async (organizationId, permissions, { projectId, page = 1, limit = 25, sortBy = 'date', sortOrder = 'desc' }) => {
+    // 💡 תיקון: אם לתפקיד אין הרשאת צפייה בכספים, זרוק שגיאת הרשאה
+    if (!permissions.includes('finance.view')) {
         throw new Error('You do not have permission to view financial data.');
     }
 
     const offset = (page - 1) * limit;
     const whereClause = {
         organizationId: organizationId,
+        ...NOT_IN_TRASH,
     };
 
     if (projectId && projectId !== 'all') {
         whereClause.projectId = projectId;
         const projectExists = await prisma.project.count({
-            where: { id: projectId, organizationId: organizationId }
+            where: { id: projectId, organizationId: organizationId, deletedAt: null }
         });
         if (projectExists === 0) {
             throw new Error('Project not found in this organization.');
@@ -205,12 +226,13 @@ const getFinanceEntries = async (organizationId, userRole, { projectId, page = 1
  * Adds a new income or expense entry.
  * @param {string} organizationId
  * @param {object} entryData
+ * @param {string} [actorId] - The ID of the user making the change (for the project activity stream).
  * @returns {Promise<object>} The newly created finance entry.
  */
-const createFinanceEntry = async (organizationId, { type, amount, description, date, projectId, taskId, vatPercentage, deductions, status, notes }) => {
+const createFinanceEntry = async (organizationId, { type, amount, description, date, projectId, taskId, vatPercentage, deductions, status, notes }, actorId = null) => {
     if (projectId) {
         const project = await prisma.project.findUnique({
-            where: { id: projectId, organizationId: organizationId },
+            where: { id: projectId, organizationId: organizationId, deletedAt: null },
             select: { id: true }
         });
         if (!project) {
@@ -227,7 +249,7 @@ const createFinanceEntry = async (organizationId, { type, amount, description, d
                 }
             }
         });
-        if (!task || task.project.id !== projectId || task.project.organizationId !== organizationId) {
+        if (!task || task.deletedAt || task.project.id !== projectId || task.project.organizationId !== organizationId) {
             throw new Error('Task not found or does not belong to the specified project/organization.');
         }
     }
@@ -256,6 +278,17 @@ const createFinanceEntry = async (organizationId, { type, amount, description, d
         }
     });
 
+    if (newEntry.projectId) {
+        await activityService.recordActivity({
+            projectId: newEntry.projectId,
+            organizationId,
+            actorId,
+            type: ACTIVITY_TYPES.FINANCE_ENTRY_CREATED,
+            taskId: newEntry.taskId,
+            data: summarizeEntry(newEntry),
+        });
+    }
+
     const formattedEntry = {
         ...newEntry,
         projectTitle: newEntry.project ? newEntry.project.title : undefined,
@@ -270,12 +303,12 @@ const createFinanceEntry = async (organizationId, { type, amount, description, d
  * @param {string} entryId
  * @param {string} organizationId
  * @param {object} updateData
+ * @param {string} [actorId] - The ID of the user making the change (for the project activity stream).
  * @returns {Promise<object>} The updated finance entry.
  */
-const updateFinanceEntry = async (entryId, organizationId, updateData) => {
+const updateFinanceEntry = async (entryId, organizationId, updateData, actorId = null) => {
     const existingEntry = await prisma.financeEntry.findUnique({
         where: { id: entryId, organizationId: organizationId },
-        select: { id: true, projectId: true, amount: true, vatPercentage: true, deductions: true }
     });
     if (!existingEntry) {
         throw new Error('Finance entry not found or does not belong to this organization.');
@@ -313,6 +346,18 @@ const updateFinanceEntry = async (entryId, organizationId, updateData) => {
         }
     });
 
+    const changes = activityService.diffFields(existingEntry, updatedEntry, TRACKED_ENTRY_FIELDS);
+    if (updatedEntry.projectId && Object.keys(changes).length > 0) {
+        await activityService.recordActivity({
+            projectId: updatedEntry.projectId,
+            organizationId,
+            actorId,
+            type: ACTIVITY_TYPES.FINANCE_ENTRY_UPDATED,
+            taskId: updatedEntry.taskId,
+            data: { ...summarizeEntry(updatedEntry), changes },
+        });
+    }
+
     const formattedEntry = {
         ...updatedEntry,
         projectTitle: updatedEntry.project ? updatedEntry.project.title : undefined,
@@ -326,9 +371,10 @@ const updateFinanceEntry = async (entryId, organizationId, updateData) => {
  * Deletes a finance entry.
  * @param {string} entryId
  * @param {string} organizationId
+ * @param {string} [actorId] - The ID of the user making the change (for the project activity stream).
  * @returns {Promise<void>}
  */
-const deleteFinanceEntry = async (entryId, organizationId) => {
+const deleteFinanceEntry = async (entryId, organizationId, actorId = null) => {
     const existingEntry = await prisma.financeEntry.findUnique({
         where: { id: entryId, organizationId: organizationId },
     });
@@ -339,26 +385,46 @@ const deleteFinanceEntry = async (entryId, organizationId) => {
     await prisma.financeEntry.delete({
         where: { id: entryId },
     });
+
+    if (existingEntry.projectId) {
+        await activityService.recordActivity({
+            projectId: existingEntry.projectId,
+            organizationId,
+            actorId,
+            type: ACTIVITY_TYPES.FINANCE_ENTRY_DELETED,
+            taskId: existingEntry.taskId,
+            data: summarizeEntry(existingEntry),
+        });
+    }
 };
 
 /**
  * Resets all monthly budgets and finance entries for a specific project.
  * @param {string} organizationId
  * @param {string} projectId
+ * @param {string} [actorId] - The ID of the user making the change (for the project activity stream).
  * @returns {Promise<void>}
  */
-const resetProjectFinances = async (organizationId, projectId) => {
+const resetProjectFinances = async (organizationId, projectId, actorId = null) => {
     const project = await prisma.project.findUnique({
-        where: { id: projectId, organizationId: organizationId },
+        where: { id: projectId, organizationId: organizationId, deletedAt: null },
     });
     if (!project) {
         throw new Error('Project not found or does not belong to this organization.');
     }
 
-    await prisma.$transaction([
+    const [deletedBudgets, deletedEntries] = await prisma.$transaction([
         prisma.monthlyBudget.deleteMany({ where: { projectId: projectId } }),
         prisma.financeEntry.deleteMany({ where: { projectId: projectId } }),
     ]);
+
+    await activityService.recordActivity({
+        projectId,
+        organizationId,
+        actorId,
+        type: ACTIVITY_TYPES.FINANCES_RESET,
+        data: { deletedBudgets: deletedBudgets.count, deletedEntries: deletedEntries.count },
+    });
 };
 
 /**
@@ -366,11 +432,13 @@ const resetProjectFinances = async (organizationId, projectId) => {
  * @param {string} organizationId
  * @param {string} projectId
  * @param {string} entryId
+ * @param {string} [actorId] - The ID of the user making the change (for the project activity stream).
  * @returns {Promise<object>} The restored monthly budget.
  */
-const restoreProjectFinances = async (organizationId, projectId, entryId) => {
+const restoreProjectFinances = async (organizationId, projectId, entryId, actorId = null) => {
     const project = await prisma.project.findUnique({
-        where: { id: projectId, organizationId: organizationId },
+        where: { id: projectId, organizationId: organizationId, deletedAt: null },
+        include: { monthlyBudgets: true },
     });
     if (!project) {
         throw new Error('Project not found or does not belong to this organization.');
@@ -409,7 +477,21 @@ const restoreProjectFinances = async (organizationId, projectId, entryId) => {
         });
     }
 
-    return await prisma.monthlyBudget.findMany({ where: { projectId: projectId } });
+    const restoredBudgets = await prisma.monthlyBudget.findMany({ where: { projectId: projectId } });
+
+    await activityService.recordActivity({
+        projectId,
+        organizationId,
+        actorId,
+        type: ACTIVITY_TYPES.BUDGET_UPDATED,
+        data: {
+            before: activityService.summarizeBudgets(project.monthlyBudgets),
+            after: activityService.summarizeBudgets(restoredBudgets),
+            restoredFromEntryId: entryId,
+        },
+    });
+
+    return restoredBudgets;
 };
 
 /**
@@ -420,7 +502,7 @@ const restoreProjectFinances = async (organizationId, projectId, entryId) => {
  */
 const generateFinancePDF = async (organizationId, projectId) => {
     try {
-        const summary = await getFinanceSummary(organizationId, 'ADMIN', projectId); // Assuming ADMIN for PDF generation
+        const summary = await getFinanceSummary(organizationId, ['finance.view'], projectId); // The route already checked 'finance.export'
         const organizationName = await getOrganizationName(organizationId);
         const projectName = await getProjectName(projectId);
         const tableData = await getDetailedFinanceEntries(organizationId, projectId);
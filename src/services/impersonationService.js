@@ -0,0 +1,109 @@
+// src/services/impersonationService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { OWNER_ROLE } = require('../utils/permissions');
+const sessionService = require('./sessionService');
+
+const DEFAULT_LOG_LIMIT = 50;
+const MAX_LOG_LIMIT = 200;
+
+/**
+ * Starts a "view as user" session: a SUPER_ADMIN gets a short-lived token that acts as another member
+ * of the organization, so they can see exactly what that member sees.
+ * @param {object} impersonator - { userId, role, twoFactorVerified } of the acting SUPER_ADMIN.
+ * @param {string} targetUserId - The ID of the member to impersonate.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<object>} { token, expiresAt, impersonatedUser }
+ */
+const startImpersonation = async (impersonator, targetUserId, organizationId) => {
+  if (impersonator.role !== OWNER_ROLE) {
+    throw new Error('Only a SUPER_ADMIN can impersonate users.');
+  }
+  if (impersonator.userId === targetUserId) {
+    throw new Error('You cannot impersonate yourself.');
+  }
+
+  const membership = await prisma.membership.findUnique({
+    where: { userId_organizationId: { userId: targetUserId, organizationId } },
+    include: { user: { select: { id: true, fullName: true, email: true } } },
+  });
+  if (!membership) {
+    throw new Error('Target user not found in this organization.');
+  }
+  if (membership.role === OWNER_ROLE) {
+    throw new Error('You cannot impersonate another SUPER_ADMIN.');
+  }
+
+  const { token, expiresAt } = await sessionService.createImpersonationSession(
+    impersonator.userId,
+    targetUserId,
+    organizationId,
+    membership.role,
+    { twoFactorVerified: !!impersonator.twoFactorVerified }
+  );
+
+  return {
+    token,
+    expiresAt,
+    impersonatedUser: { ...membership.user, role: membership.role },
+  };
+};
+
+/**
+ * Records one request made with an impersonation token.
+ * @param {object} entry - { sessionId, organizationId, impersonatorId, userId, method, path, statusCode, ip }
+ * @returns {Promise<void>}
+ */
+const logImpersonatedRequest = async ({ sessionId, organizationId, impersonatorId, userId, method, path, statusCode, ip }) => {
+  await prisma.impersonationLog.create({
+    data: { sessionId, organizationId, impersonatorId, userId, method, path, statusCode, ip },
+  });
+};
+
+/**
+ * Lists the requests made under impersonation in an organization, newest first.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} viewerRole - The role of the requesting member (only a SUPER_ADMIN can read the log).
+ * @param {object} [filters]
+ * @param {string} [filters.impersonatorId] - Only requests by this SUPER_ADMIN.
+ * @param {string} [filters.userId] - Only requests made as this user.
+ * @param {string} [filters.sessionId] - Only requests of one impersonation session.
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=50] - Max 200.
+ * @returns {Promise<object>} { data, totalItems, totalPages, currentPage }
+ */
+const getImpersonationLogs = async (organizationId, viewerRole, { impersonatorId, userId, sessionId, page = 1, limit = DEFAULT_LOG_LIMIT } = {}) => {
+  if (viewerRole !== OWNER_ROLE) {
+    throw new Error('Only a SUPER_ADMIN can view the impersonation log.');
+  }
+  const take = Math.min(Math.max(parseInt(limit) || DEFAULT_LOG_LIMIT, 1), MAX_LOG_LIMIT);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const where = { organizationId };
+  if (impersonatorId) where.impersonatorId = impersonatorId;
+  if (userId) where.userId = userId;
+  if (sessionId) where.sessionId = sessionId;
+
+  const [data, totalItems] = await Promise.all([
+    prisma.impersonationLog.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (currentPage - 1) * take,
+      take,
+    }),
+    prisma.impersonationLog.count({ where }),
+  ]);
+
+  return {
+    data,
+    totalItems,
+    totalPages: Math.ceil(totalItems / take),
+    currentPage,
+  };
+};
+
+module.exports = {
+  startImpersonation,
+  logImpersonatedRequest,
+  getImpersonationLogs,
+};
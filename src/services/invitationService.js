@@ -0,0 +1,288 @@
+// src/services/invitationService.js
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { generateOpaqueToken, hashToken } = require('../utils/tokenUtils');
+const mailService = require('./mailService');
+const membershipService = require('./membershipService');
+const roleService = require('./roleService');
+
+const INVITATION_STATUS = {
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  REVOKED: 'REVOKED',
+};
+const INVITATION_TTL_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Never expose the token hash
+const invitationSelect = {
+  id: true,
+  organizationId: true,
+  email: true,
+  fullName: true,
+  phone: true,
+  jobTitle: true,
+  role: true,
+  status: true,
+  invitedById: true,
+  expiresAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const getExpiryDate = () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const withExpiredFlag = (invitation) => ({
+  ...invitation,
+  expired: invitation.status === INVITATION_STATUS.PENDING && invitation.expiresAt < new Date(),
+});
+
+const sendInvitationEmail = async (invitation, organizationName, token) => {
+  const acceptLink = mailService.buildAppLink('/accept-invite', { token });
+  await mailService.sendMail({
+    to: invitation.email,
+    subject: `You have been invited to join ${organizationName} on ProjectFlow`,
+    text: `Hi ${invitation.fullName},\n\nYou have been invited to join ${organizationName} on ProjectFlow. Use the link below to accept the invitation. The link is valid for ${INVITATION_TTL_DAYS} days.\n\n${acceptLink}\n\nIf you were not expecting this invitation, you can ignore this email.`,
+  });
+};
+
+/**
+ * Invites someone to the organization by email.
+ * Nothing is created for the invitee until they accept the invitation.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} invitedById - The ID of the inviting user.
+ * @param {string} inviterRole - The role of the inviting user (a user can only invite with a role below their own level).
+ * @param {object} data - { fullName, phone, jobTitle, email, role }
+ * @returns {Promise<object>} The created invitation.
+ */
+const createInvitation = async (organizationId, invitedById, inviterRole, { fullName, phone, jobTitle, email, role }) => {
+  const invitedRole = await roleService.getRoleByName(organizationId, role);
+  if (!invitedRole) {
+    throw new Error('Invalid role');
+  }
+  if (invitedRole.level >= await roleService.getRoleLevel(organizationId, inviterRole)) {
+    throw new Error('You cannot assign a role at or above your own level.');
+  }
+
+  const existingUser = await prisma.user.findUnique({ where: { email } });
+  if (existingUser) {
+    const membership = await prisma.membership.findUnique({
+      where: { userId_organizationId: { userId: existingUser.id, organizationId } },
+    });
+    if (membership) {
+      throw new Error('User is already a member of this organization.');
+    }
+  }
+
+  const pendingInvitation = await prisma.invitation.findFirst({
+    where: { organizationId, email, status: INVITATION_STATUS.PENDING, expiresAt: { gt: new Date() } },
+  });
+  if (pendingInvitation) {
+    throw new Error('A pending invitation already exists for this email.');
+  }
+
+  const token = generateOpaqueToken();
+  const invitation = await prisma.invitation.create({
+    data: {
+      organizationId,
+      email,
+      fullName,
+      phone,
+      jobTitle,
+      role,
+      invitedById,
+      tokenHash: hashToken(token),
+      expiresAt: getExpiryDate(),
+    },
+    select: { ...invitationSelect, organization: { select: { name: true } } },
+  });
+
+  const { organization, ...result } = invitation;
+  await sendInvitationEmail(result, organization.name, token);
+  return withExpiredFlag(result);
+};
+
+/**
+ * Lists the invitations of an organization.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {object} [options]
+ * @param {string} [options.status] - Filter by status (default 'PENDING'; 'ALL' for every status).
+ * @returns {Promise<Array<object>>}
+ */
+const listInvitations = async (organizationId, { status = INVITATION_STATUS.PENDING } = {}) => {
+  const where = { organizationId };
+  if (status !== 'ALL') {
+    if (!Object.values(INVITATION_STATUS).includes(status)) {
+      throw new Error('Invalid invitation status.');
+    }
+    where.status = status;
+  }
+
+  const invitations = await prisma.invitation.findMany({
+    where,
+    select: invitationSelect,
+    orderBy: { createdAt: 'desc' },
+  });
+  return invitations.map(withExpiredFlag);
+};
+
+const findPendingInvitation = async (invitationId, organizationId) => {
+  const invitation = await prisma.invitation.findFirst({
+    where: { id: invitationId, organizationId },
+    include: { organization: { select: { name: true } } },
+  });
+  if (!invitation) {
+    throw new Error('Invitation not found.');
+  }
+  if (invitation.status !== INVITATION_STATUS.PENDING) {
+    throw new Error('Invitation is no longer pending.');
+  }
+  return invitation;
+};
+
+/**
+ * Sends a pending invitation again with a fresh link and expiry. The previous link stops working.
+ * @param {string} invitationId - The ID of the invitation.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<object>} The updated invitation.
+ */
+const resendInvitation = async (invitationId, organizationId) => {
+  const invitation = await findPendingInvitation(invitationId, organizationId);
+
+  const token = generateOpaqueToken();
+  const updated = await prisma.invitation.update({
+    where: { id: invitation.id },
+    data: { tokenHash: hashToken(token), expiresAt: getExpiryDate() },
+    select: invitationSelect,
+  });
+
+  await sendInvitationEmail(updated, invitation.organization.name, token);
+  return withExpiredFlag(updated);
+};
+
+/**
+ * Revokes a pending invitation.
+ * @param {string} invitationId - The ID of the invitation.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<object>} The revoked invitation.
+ */
+const revokeInvitation = async (invitationId, organizationId) => {
+  const invitation = await findPendingInvitation(invitationId, organizationId);
+
+  const revoked = await prisma.invitation.update({
+    where: { id: invitation.id },
+    data: { status: INVITATION_STATUS.REVOKED, revokedAt: new Date() },
+    select: invitationSelect,
+  });
+  return withExpiredFlag(revoked);
+};
+
+const findInvitationByToken = async (token) => {
+  const invitation = await prisma.invitation.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { organization: { select: { id: true, name: true } } },
+  });
+  if (!invitation || invitation.status !== INVITATION_STATUS.PENDING || invitation.expiresAt < new Date()) {
+    throw new Error('Invalid or expired invitation.');
+  }
+  return invitation;
+};
+
+/**
+ * Returns what the accept page needs to show for an invitation link.
+ * @param {string} token - The plain invitation token.
+ * @returns {Promise<object>} { email, fullName, role, organization, existingUser }
+ */
+const getInvitationByToken = async (token) => {
+  const invitation = await findInvitationByToken(token);
+  const existingUser = await prisma.user.findUnique({ where: { email: invitation.email }, select: { id: true } });
+
+  return {
+    email: invitation.email,
+    fullName: invitation.fullName,
+    role: invitation.role,
+    organization: invitation.organization,
+    existingUser: !!existingUser, // existing users do not need to choose a password
+  };
+};
+
+/**
+ * Accepts an invitation.
+ * - Existing users (matched by email) just get the membership.
+ * - New users are created with the password they choose. Their email counts as verified, since the link was sent to it.
+ * @param {string} token - The plain invitation token.
+ * @param {object} data - { password, fullName } (password required for new users; fullName optionally overrides the invited name)
+ * @returns {Promise<object>} { message, organization, email }
+ */
+const acceptInvitation = async (token, { password, fullName } = {}) => {
+  const invitation = await findInvitationByToken(token);
+  const existingUser = await prisma.user.findUnique({ where: { email: invitation.email } });
+
+  if (!existingUser && (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    throw new Error('Password must be at least 6 characters.');
+  }
+  const hashedPassword = existingUser ? null : await bcrypt.hash(password, 10);
+
+  const userId = await prisma.$transaction(async (tx) => {
+    // Guard against the same invitation being accepted twice concurrently
+    const claimed = await tx.invitation.updateMany({
+      where: { id: invitation.id, status: INVITATION_STATUS.PENDING },
+      data: { status: INVITATION_STATUS.ACCEPTED, acceptedAt: new Date() },
+    });
+    if (claimed.count === 0) {
+      throw new Error('Invalid or expired invitation.');
+    }
+
+    let user = existingUser;
+    if (!user) {
+      user = await tx.user.create({
+        data: {
+          fullName: (fullName && fullName.trim()) || invitation.fullName,
+          email: invitation.email,
+          phone: invitation.phone,
+          jobTitle: invitation.jobTitle,
+          password: hashedPassword,
+          emailVerifiedAt: new Date(),
+        },
+      });
+    }
+
+    const membership = await tx.membership.findUnique({
+      where: { userId_organizationId: { userId: user.id, organizationId: invitation.organizationId } },
+    });
+    if (membership) {
+      throw new Error('User is already a member of this organization.');
+    }
+    await tx.membership.create({
+      data: {
+        userId: user.id,
+        organizationId: invitation.organizationId,
+        role: invitation.role,
+        jobTitle: invitation.jobTitle,
+      },
+    });
+
+    return user.id;
+  });
+
+  membershipService.invalidateMembership(userId, invitation.organizationId);
+
+  return {
+    message: 'Invitation accepted. You can now log in.',
+    organization: invitation.organization,
+    email: invitation.email,
+  };
+};
+
+module.exports = {
+  INVITATION_STATUS,
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+};
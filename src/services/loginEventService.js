@@ -0,0 +1,105 @@
+// src/services/loginEventService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const notificationService = require('./notificationService');
+
+const LOGIN_METHODS = {
+  PASSWORD: 'PASSWORD',
+  OTP: 'OTP',
+  TWO_FACTOR: 'TWO_FACTOR',
+};
+const MAX_USER_AGENT_LENGTH = 512;
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+const loginEventSelect = {
+  id: true,
+  sessionId: true,
+  method: true,
+  ip: true,
+  userAgent: true,
+  newDevice: true,
+  createdAt: true,
+};
+
+const clampLimit = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+
+/**
+ * Records a successful login. A login from a User-Agent the user never logged in with before
+ * counts as a new device and the user gets a notification (except on their very first login).
+ * @param {string} userId - The ID of the user.
+ * @param {string} sessionId - The session created by the login.
+ * @param {object} details - { method, ip, userAgent }
+ * @returns {Promise<object>} The login event.
+ */
+const recordLogin = async (userId, sessionId, { method, ip = null, userAgent = null }) => {
+  const agent = userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null;
+
+  const [previousLogins, knownDevice] = await Promise.all([
+    prisma.loginEvent.count({ where: { userId } }),
+    prisma.loginEvent.findFirst({ where: { userId, userAgent: agent }, select: { id: true } }),
+  ]);
+  const newDevice = previousLogins > 0 && !knownDevice;
+
+  const event = await prisma.loginEvent.create({
+    data: { userId, sessionId, method, ip, userAgent: agent, newDevice },
+    select: loginEventSelect,
+  });
+
+  if (newDevice) {
+    try {
+      await notificationService.createAndSendNotification(
+        userId,
+        'new_device_login',
+        `New login to your account from ${agent || 'an unknown device'}${ip ? ` (IP ${ip})` : ''}. If this wasn't you, change your password and log out of that session.`,
+        '/settings/sessions'
+      );
+    } catch (error) {
+      // The login itself succeeded; a failed notification must not block it
+      console.error('Failed to send new device notification:', error);
+    }
+  }
+
+  return event;
+};
+
+/**
+ * Returns the recent logins of a user, newest first.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - Max 100.
+ * @returns {Promise<Array<object>>}
+ */
+const getUserLogins = async (userId, { limit } = {}) => {
+  return prisma.loginEvent.findMany({
+    where: { userId },
+    select: loginEventSelect,
+    orderBy: { createdAt: 'desc' },
+    take: clampLimit(limit),
+  });
+};
+
+/**
+ * Returns the recent logins of a member of the organization (admin view).
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} targetUserId - The ID of the member.
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - Max 100.
+ * @returns {Promise<Array<object>>}
+ */
+const getMemberLogins = async (organizationId, targetUserId, { limit } = {}) => {
+  const membership = await prisma.membership.findUnique({
+    where: { userId_organizationId: { userId: targetUserId, organizationId } },
+  });
+  if (!membership) {
+    throw new Error('Target user not found in this organization.');
+  }
+  return getUserLogins(targetUserId, { limit });
+};
+
+module.exports = {
+  LOGIN_METHODS,
+  recordLogin,
+  getUserLogins,
+  getMemberLogins,
+};
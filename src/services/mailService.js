@@ -0,0 +1,121 @@
+// src/services/mailService.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Email delivery is pluggable. The transport is picked by the MAIL_TRANSPORT env variable:
+ * - 'smtp'    : real delivery via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ * - 'console' : prints the email to the server log (local development)
+ * - 'file'    : appends the email to MAIL_OUTBOX_FILE (local testing)
+ * Defaults to 'smtp' in production and 'console' elsewhere.
+ */
+
+let smtpClient = null;
+
+const smtpTransport = {
+  name: 'smtp',
+  send: async ({ to, subject, text, html }) => {
+    if (!smtpClient) {
+      const nodemailer = require('nodemailer');
+      smtpClient = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    }
+    await smtpClient.sendMail({
+      from: process.env.MAIL_FROM || 'ProjectFlow <no-reply@mypland.com>',
+      to,
+      subject,
+      text,
+      html,
+    });
+  },
+};
+
+const consoleTransport = {
+  name: 'console',
+  send: async ({ to, subject, text }) => {
+    console.log('--- Email ---');
+    console.log(`To: ${to}`);
+    console.log(`Subject: ${subject}`);
+    console.log(text);
+    console.log('-------------');
+  },
+};
+
+const fileTransport = {
+  name: 'file',
+  send: async ({ to, subject, text, html }) => {
+    const outboxFile = process.env.MAIL_OUTBOX_FILE || path.join(process.cwd(), 'mail-outbox.log');
+    const line = JSON.stringify({ to, subject, text, html, sentAt: new Date().toISOString() }) + '\n';
+    await fs.promises.appendFile(outboxFile, line);
+  },
+};
+
+const transports = {
+  smtp: smtpTransport,
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const defaultName = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+  const name = process.env.MAIL_TRANSPORT || defaultName;
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}".`);
+  }
+  activeTransport = transport;
+  return activeTransport;
+};
+
+/**
+ * Replaces the mail transport (e.g. for tests or another provider).
+ * @param {{ name: string, send: function(object): Promise<void> }} transport
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Builds an absolute link to a page of the web app.
+ * @param {string} pathname - Path in the web app (e.g. '/reset-password').
+ * @param {object} [query] - Query parameters to append.
+ * @returns {string} The full URL.
+ */
+const buildAppLink = (pathname, query = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'https://mypland.com');
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Sends an email through the configured transport.
+ * @param {object} mail
+ * @param {string} mail.to - Recipient address.
+ * @param {string} mail.subject - Subject line.
+ * @param {string} mail.text - Plain-text body.
+ * @param {string} [mail.html] - Optional HTML body.
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+  try {
+    await transport.send({ to, subject, text, html });
+  } catch (error) {
+    console.error(`Error sending email to ${to} via ${transport.name}:`, error);
+    throw new Error('Failed to send email.');
+  }
+};
+
+module.exports = {
+  sendMail,
+  buildAppLink,
+  setTransport,
+};
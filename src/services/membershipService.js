@@ -0,0 +1,104 @@
+// src/services/membershipService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { PRIVILEGED_PERMISSIONS } = require('../utils/permissions');
+
+// Memberships are looked up on every organization-scoped request, so they are cached
+// in-process for a short time. Role changes made through this process invalidate the
+// entry immediately; other instances pick them up once the entry expires.
+const MEMBERSHIP_CACHE_TTL_MS = 30 * 1000;
+const membershipCache = new Map();
+
+const getCacheKey = (userId, organizationId) => `${userId}:${organizationId}`;
+
+/**
+ * Loads the current membership of a user in an organization, together with the permissions and level of its role.
+ * @param {string} userId - The ID of the user.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<object | null>} The membership ({ id, userId, organizationId, role, organization, permissions, level }) or null if the user is not a member.
+ */
+const getMembership = async (userId, organizationId) => {
+  const key = getCacheKey(userId, organizationId);
+  const cached = membershipCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.membership;
+  }
+  if (cached) {
+    membershipCache.delete(key);
+  }
+
+  const membership = await prisma.membership.findUnique({
+    where: { userId_organizationId: { userId, organizationId } },
+    select: {
+      id: true,
+      userId: true,
+      organizationId: true,
+      role: true,
+      organization: { select: { requireTwoFactorForAdmins: true } },
+    },
+  });
+
+  if (membership) {
+    const role = await prisma.role.findUnique({
+      where: { organizationId_name: { organizationId, name: membership.role } },
+      select: { permissions: true, level: true },
+    });
+    // A membership whose role no longer exists gets no permissions
+    membership.permissions = role ? role.permissions : [];
+    membership.level = role ? role.level : 0;
+  }
+
+  membershipCache.set(key, { membership, expiresAt: Date.now() + MEMBERSHIP_CACHE_TTL_MS });
+  return membership;
+};
+
+/**
+ * Whether the membership may not be used from a session that has not passed 2FA:
+ * the organization requires 2FA for admins and the member's role grants a privileged permission.
+ * @param {object} membership - A membership as returned by getMembership.
+ * @param {boolean} twoFactorVerified - Whether the current session passed 2FA.
+ * @returns {boolean} True if access must be refused until the user sets up and verifies 2FA.
+ */
+const isTwoFactorRequired = (membership, twoFactorVerified) =>
+  membership.organization.requireTwoFactorForAdmins &&
+  membership.permissions.some(p => PRIVILEGED_PERMISSIONS.includes(p)) &&
+  !twoFactorVerified;
+
+/**
+ * Drops a cached membership so the next request reads it from the database.
+ * Call this after changing or deleting a membership.
+ * @param {string} userId - The ID of the user.
+ * @param {string} organizationId - The ID of the organization.
+ */
+const invalidateMembership = (userId, organizationId) => {
+  membershipCache.delete(getCacheKey(userId, organizationId));
+};
+
+/**
+ * Drops all cached memberships of an organization (e.g. after a role's permissions changed).
+ * @param {string} organizationId - The ID of the organization.
+ */
+const invalidateOrganization = (organizationId) => {
+  for (const key of membershipCache.keys()) {
+    if (key.endsWith(`:${organizationId}`)) {
+      membershipCache.delete(key);
+    }
+  }
+};
+
+// Periodically drop expired entries so the cache does not grow with every user and organization seen
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of membershipCache) {
+    if (entry.expiresAt <= now) {
+      membershipCache.delete(key);
+    }
+  }
+}, MEMBERSHIP_CACHE_TTL_MS).unref();
+
+module.exports = {
+  getMembership,
+  isTwoFactorRequired,
+  invalidateMembership,
+  invalidateOrganization,
+};
@@ -0,0 +1,307 @@
+// src/services/milestoneService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { toDateOnly, getToday } = require('../utils/dateUtils');
+const { buildProjectAccessFilter } = require('./projectMemberService');
+
+const MILESTONE_STATUS = {
+    PENDING: 'PENDING',
+    COMPLETED: 'COMPLETED',
+    MISSED: 'MISSED',
+};
+
+const milestoneInclude = {
+    tasks: {
+        where: { deletedAt: null }, // tasks in the trash do not count
+        select: { id: true, title: true, status: true, endDate: true },
+        orderBy: { displayOrder: 'asc' },
+    },
+};
+
+const formatDate = (date) => (date ? date.toISOString().split('T')[0] : null);
+
+// permissions: when given, the expected income is only included with 'finance.view'
+const formatMilestone = (milestone, permissions = null) => {
+    const formatted = {
+        ...milestone,
+        dueDate: formatDate(milestone.dueDate),
+        tasks: milestone.tasks.map(task => ({ ...task, endDate: formatDate(task.endDate) })),
+        taskIds: milestone.tasks.map(task => task.id),
+    };
+    if (permissions && !permissions.includes('finance.view')) {
+        delete formatted.incomeAmount;
+    }
+    return formatted;
+};
+
+/**
+ * Computes the status and completion of a milestone.
+ * With linked tasks, the milestone is complete once all of them are done ('הושלם').
+ * Without linked tasks, completion is set manually (completedAt).
+ * A milestone that is not complete by its due date is MISSED.
+ * @param {object} milestone - { dueDate, completedAt }
+ * @param {object[]} tasks - [{ status }] the linked tasks.
+ * @param {Date} [today] - The current date (see getToday).
+ * @returns {object} { status, completionPercentage, completedAt }
+ */
+const calculateMilestoneProgress = (milestone, tasks, today = getToday()) => {
+    let completionPercentage;
+    let completedAt;
+    if (tasks.length > 0) {
+        const doneCount = tasks.filter(task => task.status === 'הושלם').length;
+        completionPercentage = Math.round((doneCount / tasks.length) * 100);
+        completedAt = doneCount === tasks.length ? (milestone.completedAt || new Date()) : null;
+    } else {
+        completedAt = milestone.completedAt || null;
+        completionPercentage = completedAt ? 100 : 0;
+    }
+
+    let status;
+    if (completedAt) {
+        status = MILESTONE_STATUS.COMPLETED;
+    } else if (milestone.dueDate < today) {
+        status = MILESTONE_STATUS.MISSED;
+    } else {
+        status = MILESTONE_STATUS.PENDING;
+    }
+
+    return { status, completionPercentage, completedAt };
+};
+
+/**
+ * Recomputes and stores the status and completion of a milestone from its linked tasks.
+ * @param {string} milestoneId - The ID of the milestone.
+ * @returns {Promise<object | null>} The stored values, or null if the milestone does not exist.
+ */
+const refreshMilestoneProgress = async (milestoneId) => {
+    const milestone = await prisma.milestone.findUnique({
+        where: { id: milestoneId },
+        select: { dueDate: true, completedAt: true, tasks: { where: { deletedAt: null }, select: { status: true } } },
+    });
+    if (!milestone) return null;
+
+    const data = calculateMilestoneProgress(milestone, milestone.tasks);
+    await prisma.milestone.update({ where: { id: milestoneId }, data });
+    return data;
+};
+
+/**
+ * Recomputes the milestones of a project. Called whenever the project's tasks change.
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<void>}
+ */
+const refreshProjectMilestones = async (projectId) => {
+    const milestones = await prisma.milestone.findMany({
+        where: { projectId },
+        select: { id: true },
+    });
+    for (const milestone of milestones) {
+        await refreshMilestoneProgress(milestone.id);
+    }
+};
+
+// userId / permissions: when given, the project must also be visible to that user
+const findProject = async (projectId, organizationId, userId = null, permissions = null) => {
+    const project = await prisma.project.findFirst({
+        where: {
+            id: projectId,
+            organizationId,
+            deletedAt: null,
+            ...(!permissions || permissions.includes('project.view.all') ? {} : { OR: buildProjectAccessFilter(userId) }),
+        },
+        select: { id: true },
+    });
+    if (!project) {
+        throw new Error('Project not found in this organization.');
+    }
+    return project;
+};
+
+const findMilestone = async (milestoneId, projectId, organizationId, userId = null, permissions = null) => {
+    await findProject(projectId, organizationId, userId, permissions);
+    const milestone = await prisma.milestone.findFirst({
+        where: { id: milestoneId, projectId },
+        include: { tasks: { where: { deletedAt: null }, select: { id: true } } },
+    });
+    if (!milestone) {
+        throw new Error('Milestone not found in this project.');
+    }
+    return milestone;
+};
+
+const parseDueDate = (dueDate) => {
+    const date = toDateOnly(dueDate);
+    if (!date) {
+        throw new Error('Due date must be a valid date.');
+    }
+    return date;
+};
+
+const parseIncomeAmount = (incomeAmount) => {
+    if (incomeAmount === null) return null;
+    const amount = parseFloat(incomeAmount);
+    if (isNaN(amount) || amount < 0) {
+        throw new Error('Income amount must be a non-negative number.');
+    }
+    return amount;
+};
+
+const validateTaskIds = async (projectId, taskIds) => {
+    if (!Array.isArray(taskIds)) {
+        throw new Error('taskIds must be an array of task IDs.');
+    }
+    const uniqueIds = [...new Set(taskIds)];
+    const count = await prisma.task.count({ where: { id: { in: uniqueIds }, projectId, deletedAt: null } });
+    if (count !== uniqueIds.length) {
+        throw new Error('One or more linked tasks are invalid or not in this project.');
+    }
+    return uniqueIds;
+};
+
+/**
+ * Lists the milestones of a project, ordered by due date.
+ * Users without 'project.view.all' can only list milestones of projects they can see,
+ * and the expected income is only included with 'finance.view'.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} userId - The ID of the current user.
+ * @param {string[]} permissions - The permissions of the user's role.
+ * @returns {Promise<Array<object>>}
+ */
+const getMilestones = async (projectId, organizationId, userId, permissions) => {
+    await findProject(projectId, organizationId, userId, permissions);
+    const milestones = await prisma.milestone.findMany({
+        where: { projectId },
+        include: milestoneInclude,
+        orderBy: { dueDate: 'asc' },
+    });
+    return milestones.map(milestone => formatMilestone(milestone, permissions));
+};
+
+/**
+ * @param {string} milestoneId - The ID of the milestone.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} [userId] - The ID of the current user (with permissions: checks visibility as in getMilestones).
+ * @param {string[]} [permissions] - The permissions of the user's role.
+ * @returns {Promise<object>} The milestone with its linked tasks.
+ */
+const getMilestoneById = async (milestoneId, projectId, organizationId, userId = null, permissions = null) => {
+    await findMilestone(milestoneId, projectId, organizationId, userId, permissions);
+    const milestone = await prisma.milestone.findUnique({
+        where: { id: milestoneId },
+        include: milestoneInclude,
+    });
+    return formatMilestone(milestone, permissions);
+};
+
+/**
+ * Creates a milestone in a project.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {object} data
+ * @param {string} data.title
+ * @param {string} [data.description]
+ * @param {string} data.dueDate - 'YYYY-MM-DD'.
+ * @param {number} [data.incomeAmount] - Income expected when the milestone is delivered.
+ * @param {string[]} [data.taskIds] - Tasks of the project whose completion makes up the milestone.
+ * @returns {Promise<object>} The created milestone.
+ */
+const createMilestone = async (projectId, organizationId, { title, description, dueDate, incomeAmount, taskIds = [] }) => {
+    await findProject(projectId, organizationId);
+    if (!title || !dueDate) {
+        throw new Error('Title and due date are required for a milestone.');
+    }
+    const linkedTaskIds = await validateTaskIds(projectId, taskIds);
+
+    const milestone = await prisma.milestone.create({
+        data: {
+            projectId,
+            organizationId,
+            title,
+            description,
+            dueDate: parseDueDate(dueDate),
+            incomeAmount: incomeAmount === undefined ? null : parseIncomeAmount(incomeAmount),
+            tasks: { connect: linkedTaskIds.map(id => ({ id })) },
+        },
+    });
+
+    await refreshMilestoneProgress(milestone.id);
+    return getMilestoneById(milestone.id, projectId, organizationId);
+};
+
+/**
+ * Updates a milestone. Changing the due date re-arms the "due soon" / "missed" notifications.
+ * @param {string} milestoneId - The ID of the milestone.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {object} updateData - { title, description, dueDate, incomeAmount, taskIds, completed }
+ *   `completed` (boolean) marks a milestone without linked tasks as done or not done;
+ *   milestones with linked tasks take their completion from the tasks.
+ * @returns {Promise<object>} The updated milestone.
+ */
+const updateMilestone = async (milestoneId, projectId, organizationId, { title, description, dueDate, incomeAmount, taskIds, completed }) => {
+    const milestone = await findMilestone(milestoneId, projectId, organizationId);
+
+    const data = {};
+    if (title !== undefined) {
+        if (!title) {
+            throw new Error('Title is required for a milestone.');
+        }
+        data.title = title;
+    }
+    if (description !== undefined) data.description = description;
+    if (dueDate !== undefined) {
+        data.dueDate = parseDueDate(dueDate);
+        if (data.dueDate.getTime() !== milestone.dueDate.getTime()) {
+            data.approachingNotifiedAt = null;
+            data.missedNotifiedAt = null;
+        }
+    }
+    if (incomeAmount !== undefined) data.incomeAmount = parseIncomeAmount(incomeAmount);
+
+    let linkedTaskCount = milestone.tasks.length;
+    if (taskIds !== undefined) {
+        const linkedTaskIds = await validateTaskIds(projectId, taskIds);
+        data.tasks = { set: linkedTaskIds.map(id => ({ id })) };
+        linkedTaskCount = linkedTaskIds.length;
+    }
+    if (completed !== undefined) {
+        if (linkedTaskCount > 0) {
+            throw new Error('The completion of a milestone with linked tasks is derived from its tasks.');
+        }
+        data.completedAt = completed ? (milestone.completedAt || new Date()) : null;
+    }
+
+    if (Object.keys(data).length === 0) {
+        throw new Error('No valid fields provided for update.');
+    }
+
+    await prisma.milestone.update({ where: { id: milestoneId }, data });
+    await refreshMilestoneProgress(milestoneId);
+    return getMilestoneById(milestoneId, projectId, organizationId);
+};
+
+/**
+ * Deletes a milestone. The linked tasks are not affected.
+ * @param {string} milestoneId - The ID of the milestone.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<void>}
+ */
+const deleteMilestone = async (milestoneId, projectId, organizationId) => {
+    await findMilestone(milestoneId, projectId, organizationId);
+    await prisma.milestone.delete({ where: { id: milestoneId } });
+};
+
+module.exports = {
+    MILESTONE_STATUS,
+    calculateMilestoneProgress,
+    refreshMilestoneProgress,
+    refreshProjectMilestones,
+    getMilestones,
+    getMilestoneById,
+    createMilestone,
+    updateMilestone,
+    deleteMilestone,
+};
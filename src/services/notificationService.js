@@ -16,7 +16,7 @@ const initNotifications = (socketIoInstance) => {
 /**
  * Creates and sends a new notification.
  * @param {string} userId - The ID of the user who should receive the notification.
- * @param {string} type - Type of notification ('comment' | 'assignment' | 'status_change' | 'deadline').
+ * @param {string} type - Type of notification ('comment' | 'assignment' | 'status_change' | 'deadline' | 'milestone_due' | 'milestone_missed' | 'project_member' | 'new_device_login').
  * @param {string} text - The content of the notification.
  * @param {string} [link] - Optional URL for the notification (e.g., /projects/1/tasks/2).
  * @returns {Promise<object>} The created notification object.
@@ -1,6 +1,7 @@
 // src/services/organizationService.js
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const roleService = require('./roleService');
 
 /**
  * Creates a new organization and associates the creating user as SUPER_ADMIN.
@@ -26,6 +27,7 @@ const createOrganization = async (organizationName, userId) => {
                 name: organizationName,
             },
         });
+        await roleService.seedDefaultRoles(tx, newOrg.id);
 
         // 2. Create a membership for the creating user in the new organization as SUPER_ADMIN
         await tx.membership.create({
@@ -0,0 +1,223 @@
+// src/services/projectMemberService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const notificationService = require('./notificationService');
+
+// תפקידים ברמת הפרויקט, מהנמוך לגבוה
+const PROJECT_ROLES = {
+    VIEWER: 'VIEWER', // read only: cannot edit tasks or comment in the project
+    CONTRIBUTOR: 'CONTRIBUTOR', // may update task status and comment
+    MANAGER: 'MANAGER', // may fully manage the project's tasks and its members
+};
+const PROJECT_ROLE_LEVELS = {
+    VIEWER: 1,
+    CONTRIBUTOR: 2,
+    MANAGER: 3,
+};
+
+const memberSelect = {
+    userId: true,
+    role: true,
+    addedById: true,
+    createdAt: true,
+    updatedAt: true,
+    user: { select: { id: true, fullName: true, email: true, profilePictureUrl: true, jobTitle: true } },
+};
+
+const validateRole = (role) => {
+    if (!Object.values(PROJECT_ROLES).includes(role)) {
+        throw new Error(`Project role must be one of: ${Object.values(PROJECT_ROLES).join(', ')}.`);
+    }
+};
+
+/**
+ * @param {string} role - A project role.
+ * @param {string} minRole - The minimum project role required.
+ * @returns {boolean} Whether `role` is at least `minRole`.
+ */
+const isRoleAtLeast = (role, minRole) => !!role && PROJECT_ROLE_LEVELS[role] >= PROJECT_ROLE_LEVELS[minRole];
+
+/**
+ * Returns the user's explicit role in a project of the organization.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<string | null>} 'VIEWER' | 'CONTRIBUTOR' | 'MANAGER', or null if the user is not a project member.
+ */
+const getProjectRole = async (projectId, organizationId, userId) => {
+    const member = await prisma.projectMember.findFirst({
+        where: { projectId, userId, project: { organizationId } },
+        select: { role: true },
+    });
+    return member ? member.role : null;
+};
+
+/**
+ * Builds the conditions (any of which is enough) under which a user without 'project.view.all' can see a project.
+ * @param {string} userId - The ID of the user.
+ * @returns {object[]} Prisma conditions, to be used as an OR.
+ */
+const buildProjectAccessFilter = (userId) => [
+    // אפשרות 1: סינון לפי פרויקטים שבהם המשתמש הוא ראש צוות
+    {
+        projectTeamLeads: {
+            some: {
+                userId: userId,
+            },
+        },
+    },
+    // אפשרות 2: סינון לפי פרויקטים שמשויכים לצוותים שבהם המשתמש חבר
+    {
+        teams: {
+            some: {
+                teamMembers: {
+                    some: {
+                        userId: userId,
+                    },
+                },
+            },
+        },
+    },
+    // אפשרות 3: פרויקטים שהמשתמש חבר בהם ישירות (בכל תפקיד פרויקט)
+    {
+        projectMembers: {
+            some: {
+                userId: userId,
+            },
+        },
+    },
+];
+
+// userId / permissions: when given, the project must also be visible to that user
+const findProject = async (projectId, organizationId, userId = null, permissions = null) => {
+    const project = await prisma.project.findFirst({
+        where: {
+            id: projectId,
+            organizationId,
+            deletedAt: null,
+            ...(!permissions || permissions.includes('project.view.all') ? {} : { OR: buildProjectAccessFilter(userId) }),
+        },
+        select: { id: true, title: true },
+    });
+    if (!project) {
+        throw new Error('Project not found in this organization.');
+    }
+    return project;
+};
+
+/**
+ * Lists the explicit members of a project.
+ * Users without 'project.view.all' can only list the members of projects they can see.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} userId - The ID of the current user.
+ * @param {string[]} permissions - The permissions of the user's role.
+ * @returns {Promise<Array<object>>} [{ userId, role, addedById, user, ... }]
+ */
+const getProjectMembers = async (projectId, organizationId, userId, permissions) => {
+    await findProject(projectId, organizationId, userId, permissions);
+    return prisma.projectMember.findMany({
+        where: { projectId },
+        select: memberSelect,
+        orderBy: { createdAt: 'asc' },
+    });
+};
+
+/**
+ * Adds a member of the organization to a project with a project role.
+ * This gives the user access to the project without adding them to one of its teams.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} addedById - The ID of the user adding the member.
+ * @param {object} data - { userId, role }
+ * @returns {Promise<object>} The project member.
+ */
+const addProjectMember = async (projectId, organizationId, addedById, { userId, role }) => {
+    const project = await findProject(projectId, organizationId);
+    if (!userId) {
+        throw new Error('userId is required.');
+    }
+    validateRole(role);
+
+    const membership = await prisma.membership.findUnique({
+        where: { userId_organizationId: { userId, organizationId } },
+    });
+    if (!membership) {
+        throw new Error('Target user not found in this organization.');
+    }
+
+    const existing = await prisma.projectMember.findUnique({
+        where: { projectId_userId: { projectId, userId } },
+    });
+    if (existing) {
+        throw new Error('User is already a member of this project.');
+    }
+
+    const member = await prisma.projectMember.create({
+        data: { projectId, userId, role, addedById },
+        select: memberSelect,
+    });
+
+    if (userId !== addedById) {
+        await notificationService.createAndSendNotification(
+            userId,
+            'project_member',
+            `You were added to project "${project.title}" as ${role}.`,
+            `/projects/${projectId}`
+        );
+    }
+
+    return member;
+};
+
+/**
+ * Changes the project role of a member.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} userId - The ID of the member.
+ * @param {string} role - The new project role.
+ * @returns {Promise<object>} The updated project member.
+ */
+const updateProjectMemberRole = async (projectId, organizationId, userId, role) => {
+    await findProject(projectId, organizationId);
+    validateRole(role);
+
+    const existing = await prisma.projectMember.findUnique({
+        where: { projectId_userId: { projectId, userId } },
+    });
+    if (!existing) {
+        throw new Error('Member not found in this project.');
+    }
+
+    return prisma.projectMember.update({
+        where: { projectId_userId: { projectId, userId } },
+        data: { role },
+        select: memberSelect,
+    });
+};
+
+/**
+ * Removes a member from a project. Team-based access (teams, team leads) is not affected.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} userId - The ID of the member.
+ * @returns {Promise<void>}
+ */
+const removeProjectMember = async (projectId, organizationId, userId) => {
+    await findProject(projectId, organizationId);
+    const { count } = await prisma.projectMember.deleteMany({ where: { projectId, userId } });
+    if (count === 0) {
+        throw new Error('Member not found in this project.');
+    }
+};
+
+module.exports = {
+    PROJECT_ROLES,
+    isRoleAtLeast,
+    getProjectRole,
+    buildProjectAccessFilter,
+    getProjectMembers,
+    addProjectMember,
+    updateProjectMemberRole,
+    removeProjectMember,
+};
@@ -1,96 +1,226 @@
 // src/services/projectService.js
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { toDateOnly, getToday, addDays, diffInDays, addMonths } = require('../utils/dateUtils');
+const activityService = require('./activityService');
+const { buildProjectAccessFilter } = require('./projectMemberService');
+
+const PROJECT_STATUSES = ['מתוכנן', 'בתהליך', 'בסיכון', 'הושלם'];
+const BUDGET_FILTERS = ['over', 'under'];
+
+// מפרק פרמטר שאילתה שיכול להכיל כמה ערכים מופרדים בפסיק
+const parseList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(v => String(v).trim())
+        .filter(Boolean);
+};
 
 /**
- * Retrieves a list of all projects for a given organization, with pagination and sorting.
+ * Builds the Prisma filter for the filters that the database can apply directly:
+ * free-text search and start/end date ranges.
+ */
+const buildDatabaseFilters = ({ search, startFrom, startTo, endFrom, endTo }) => {
+    const conditions = [];
+
+    if (search && String(search).trim() !== '') {
+        const text = String(search).trim();
+        conditions.push({
+            OR: [
+                { title: { contains: text, mode: 'insensitive' } },
+                { description: { contains: text, mode: 'insensitive' } },
+            ],
+        });
+    }
+
+    const dateRange = (field, from, to) => {
+        const range = {};
+        const fromDate = toDateOnly(from);
+        const toDate = toDateOnly(to);
+        if (fromDate) range.gte = fromDate;
+        if (toDate) range.lte = toDate;
+        if (Object.keys(range).length > 0) {
+            conditions.push({ [field]: range });
+        }
+    };
+    dateRange('startDate', startFrom, startTo);
+    dateRange('endDate', endFrom, endTo);
+
+    return conditions;
+};
+
+/**
+ * Retrieves a list of all projects for a given organization, with pagination, sorting, filters and facet counts.
+ * Filters are combined with the permission-based visibility rules.
  * @param {string} organizationId - The ID of the current organization.
  * @param {string} userId - The ID of the authenticated user.
- * @param {string} userRole - The role of the authenticated user.
- * @param {object} options - Pagination and sorting options.
+ * @param {string[]} permissions - The permissions of the user's role.
+ * @param {object} options - Pagination, sorting and filter options.
  * @param {number} options.page - Current page number.
  * @param {number} options.limit - Number of items per page.
  * @param {string} options.sortBy - Field to sort by.
  * @param {string} options.sortOrder - Sort order ('asc' or 'desc').
- * @returns {Promise<object>} Paginated list of projects.
+ * @param {boolean} [options.isArchived=false]
+ * @param {object} [options.filters]
+ * @param {string|string[]} [options.filters.status] - One or more statuses ('מתוכנן' | 'בתהליך' | 'בסיכון' | 'הושלם').
+ * @param {string|string[]} [options.filters.teamId] - Projects linked to any of these teams.
+ * @param {string|string[]} [options.filters.teamLeadId] - Projects led by any of these users.
+ * @param {string} [options.filters.startFrom] - Start date on or after (YYYY-MM-DD).
+ * @param {string} [options.filters.startTo] - Start date on or before.
+ * @param {string} [options.filters.endFrom] - End date on or after.
+ * @param {string} [options.filters.endTo] - End date on or before.
+ * @param {boolean} [options.filters.overdue] - Only projects past their end date that are not completed.
+ * @param {string} [options.filters.budget] - 'over' (expenses above the expense budget) or 'under'.
+ * @param {string} [options.filters.search] - Free text searched in title and description.
+ * @returns {Promise<object>} Paginated list of projects with facet counts ({ data, totalItems, totalPages, currentPage, facets }).
  */
-const getAllProjects = async (organizationId, userId, userRole, { page = 1, limit = 25, sortBy = 'createdAt', sortOrder = 'desc', isArchived = false }) => {
+const getAllProjects = async (organizationId, userId, permissions, { page = 1, limit = 25, sortBy = 'createdAt', sortOrder = 'desc', isArchived = false, filters = {} }) => {
     try {
+        page = page || 1;
+        limit = limit || 25;
         const offset = (page - 1) * limit;
 
         // 💡 שלב 1: הגדרת תנאי הסינון הבסיסיים. אלה חלים על כל התפקידים.
         let whereClause = {
             organizationId: organizationId,
             isArchived: isArchived,
+            deletedAt: null, // פרויקטים בסל המחזור לא מוצגים
         };
 
-        // 💡 שלב 2: הוספת לוגיקת סינון לפי תפקיד המשתמש.
-        if (userRole === 'TEAM_LEADER' || userRole === 'EMPLOYEE') {
-            // אם המשתמש הוא מנהל צוות או עובד, סנן את הפרויקטים שהוא משויך אליהם
+        // 💡 שלב 2: הוספת לוגיקת סינון לפי הרשאות המשתמש.
+        if (!permissions.includes('project.view.all')) {
+            // אם אין למשתמש הרשאה לראות את כל הפרויקטים, סנן את הפרויקטים שהוא משויך אליהם
             whereClause = {
                 ...whereClause,
-                OR: [
-                    // אפשרות 1: סינון לפי פרויקטים שבהם המשתמש הוא ראש צוות
-                    {
-                        projectTeamLeads: {
-                            some: {
-                                userId: userId,
-                            },
-                        },
-                    },
-                    // אפשרות 2: סינון לפי פרויקטים שמשויכים לצוותים שבהם המשתמש חבר
-                    {
-                        teams: {
-                            some: {
-                                teamMembers: {
-                                    some: {
-                                        userId: userId,
-                                    },
-                                },
-                            },
-                        },
-                    },
-                ],
+                OR: buildProjectAccessFilter(userId),
             };
         }
         // לתפקידי ADMIN ו-SUPER_ADMIN אין צורך בסינון נוסף,
         // כיוון שהם צריכים לראות את כל הפרויקטים בארגון.
 
-        // 💡 שלב 3: ביצוע הקוואריי לבסיס הנתונים עם תנאי הסינון הנכונים.
-        const projects = await prisma.project.findMany({
-            where: whereClause,
-            skip: offset,
-            take: limit,
-            orderBy: {
-                [sortBy]: sortOrder,
-            },
-            include: {
-                // טעינת שדות נוספים הדרושים להצגה בצד הלקוח
-                monthlyBudgets: true,
-                tasks: {
-                    select: { status: true },
-                },
-                projectTeamLeads: {
-                    select: { user: true }
-                },
-                teams: {
-                    select: { id: true, name: true }
-                },
-            },
+        // 💡 שלב 3: מסננים שבסיס הנתונים מפעיל ישירות (חיפוש חופשי וטווחי תאריכים).
+        // AND נפרד כדי לא לדרוס את ה-OR של ההרשאות.
+        const databaseFilters = buildDatabaseFilters(filters);
+        if (databaseFilters.length > 0) {
+            whereClause = { ...whereClause, AND: databaseFilters };
+        }
+
+        // 💡 שלב 4: מסננים לפי סטטוס, צוות, ראש צוות, איחור ותקציב - כולם כתנאי Prisma.
+        const statusFilter = parseList(filters.status).filter(s => PROJECT_STATUSES.includes(s));
+        const teamFilter = parseList(filters.teamId);
+        const teamLeadFilter = parseList(filters.teamLeadId);
+        const overdueFilter = filters.overdue === true;
+        const budgetFilter = BUDGET_FILTERS.includes(filters.budget) ? filters.budget : null;
+        const today = getToday();
+
+        // חריגה מהתקציב אפשרית רק בפרויקטים שיש להם הוצאות, ולכן מספיק לסכם (aggregate) את ההוצאות והתקציבים שלהם
+        const expenseTotals = await prisma.financeEntry.groupBy({
+            by: ['projectId'],
+            where: { type: 'EXPENSE', project: { is: whereClause } },
+            _sum: { netAmount: true },
+        });
+        const budgetTotals = await prisma.monthlyBudget.groupBy({
+            by: ['projectId'],
+            where: { projectId: { in: expenseTotals.map(e => e.projectId) } },
+            _sum: { expenseBudget: true },
+        });
+        const expenseBudgetByProject = Object.fromEntries(budgetTotals.map(b => [b.projectId, b._sum.expenseBudget || 0]));
+        const overBudgetIds = expenseTotals
+            .filter(e => (e._sum.netAmount || 0) > (expenseBudgetByProject[e.projectId] || 0))
+            .map(e => e.projectId);
+
+        const overdueCondition = { endDate: { lt: today }, status: { not: 'הושלם' } };
+        const conditions = {
+            status: statusFilter.length > 0 ? { status: { in: statusFilter } } : null,
+            team: teamFilter.length > 0 ? { teams: { some: { id: { in: teamFilter } } } } : null,
+            teamLead: teamLeadFilter.length > 0 ? { projectTeamLeads: { some: { userId: { in: teamLeadFilter } } } } : null,
+            overdue: overdueFilter ? overdueCondition : null,
+            budget: budgetFilter ? { id: budgetFilter === 'over' ? { in: overBudgetIds } : { notIn: overBudgetIds } } : null,
+        };
+        // כל facet נספר לפי כל המסננים האחרים, בלי המסנן של עצמו, כדי שהמשתמש יראה כמה יתקבלו אם יבחר בו
+        const whereAllExcept = (excluded) => ({
+            AND: [
+                whereClause,
+                ...Object.entries(conditions)
+                    .filter(([name, condition]) => name !== excluded && condition)
+                    .map(([, condition]) => condition),
+            ],
         });
 
-        const totalProjects = await prisma.project.count({
-            where: whereClause,
+        // מוני הפילטרים (facets) מחושבים בשאילתות ספירה, בלי לטעון את הפרויקטים עצמם
+        const exceptBudget = whereAllExcept('budget');
+        const [statusCounts, teamCounts, teamLeadCounts, overdueCount, budgetBaseCount, overBudgetCount] = await Promise.all([
+            prisma.project.groupBy({
+                by: ['status'],
+                where: whereAllExcept('status'),
+                _count: { _all: true },
+            }),
+            prisma.team.findMany({
+                where: { organizationId, projects: { some: whereAllExcept('team') } },
+                select: { id: true, name: true, _count: { select: { projects: { where: whereAllExcept('team') } } } },
+            }),
+            prisma.projectTeamLead.groupBy({
+                by: ['userId'],
+                where: { project: whereAllExcept('teamLead') },
+                _count: { _all: true },
+            }),
+            prisma.project.count({ where: { AND: [whereAllExcept('overdue'), overdueCondition] } }),
+            prisma.project.count({ where: exceptBudget }),
+            prisma.project.count({ where: { AND: [exceptBudget, { id: { in: overBudgetIds } }] } }),
+        ]);
+        const teamLeadUsers = await prisma.user.findMany({
+            where: { id: { in: teamLeadCounts.map(l => l.userId) } },
+            select: { id: true, fullName: true },
         });
+        const leadNameById = Object.fromEntries(teamLeadUsers.map(u => [u.id, u.fullName]));
+
+        const facets = {
+            status: Object.fromEntries(PROJECT_STATUSES.map(s => [s, 0])),
+            teams: teamCounts.map(team => ({ id: team.id, name: team.name, count: team._count.projects })),
+            teamLeads: teamLeadCounts.map(lead => ({ userId: lead.userId, fullName: leadNameById[lead.userId], count: lead._count._all })),
+            overdue: overdueCount,
+            budget: { over: overBudgetCount, under: budgetBaseCount - overBudgetCount },
+        };
+        statusCounts.forEach(s => { facets.status[s.status] = s._count._all; });
+
+        const matchingWhere = whereAllExcept(null);
+
+        // 💡 שלב 5: ביצוע הקוואריי לבסיס הנתונים עבור העמוד המבוקש.
+        const [projects, totalProjects] = await Promise.all([
+            prisma.project.findMany({
+                where: matchingWhere,
+                skip: offset,
+                take: limit,
+                orderBy: {
+                    [sortBy]: sortOrder,
+                },
+                include: {
+                    // טעינת שדות נוספים הדרושים להצגה בצד הלקוח
+                    monthlyBudgets: true,
+                    tasks: {
+                        where: { deletedAt: null },
+                        select: { status: true },
+                    },
+                    projectTeamLeads: {
+                        select: { user: { select: { id: true, fullName: true, email: true, profilePictureUrl: true, jobTitle: true } } }
+                    },
+                    teams: {
+                        select: { id: true, name: true }
+                    },
+                },
+            }),
+            prisma.project.count({ where: matchingWhere }),
+        ]);
 
         const totalPages = Math.ceil(totalProjects / limit);
 
-        // 💡 שלב 4: החזרת הנתונים המעובדים
+        // 💡 שלב 6: החזרת הנתונים המעובדים
         return {
             data: projects,
             totalItems: totalProjects,
             totalPages,
             currentPage: page,
+            facets,
         };
 
     } catch (error) {
@@ -204,11 +334,12 @@ const createProject = async (organizationId, { title, description, teamLeads: te
  * @param {string} organizationId - The ID of the organization.
  * @param {object} updateData - Data to update.
  * @param {string[]} [updateData.teamIds] - Array of team IDs to associate with the project. 💡 שינוי: הוספת teamIds
+ * @param {string} [actorId] - The ID of the user making the change (for the activity stream).
  * @returns {Promise<object>} The updated project.
  */
-const updateProject = async (projectId, organizationId, updateData) => {
+const updateProject = async (projectId, organizationId, updateData, actorId = null) => {
     const project = await prisma.project.findUnique({
-        where: { id: projectId, organizationId },
+        where: { id: projectId, organizationId, deletedAt: null },
         include: { projectTeamLeads: true, monthlyBudgets: true, teams: true } // 💡 שינוי: הוספת teams
     });
 
@@ -217,7 +348,15 @@ const updateProject = async (projectId, organizationId, updateData) => {
     }
 
     // 💡 תיקון: הפרדה של שדות מיוחדים מהנתונים הרגילים לעדכון
-    const { teamLeads: newTeamLeadIds, monthlyBudgets: newMonthlyBudgets, teamIds: newTeamIds, ...dataToUpdate } = updateData;
+    const { teamLeads: newTeamLeadIds, monthlyBudgets: newMonthlyBudgets, teamIds: newTeamIds, status: manualStatus, ...dataToUpdate } = updateData;
+
+    // סטטוס שנשלח ידנית נשמר כעקיפה של הסטטוס המחושב (null מחזיר לחישוב האוטומטי)
+    if (manualStatus !== undefined) {
+        if (manualStatus !== null && !PROJECT_STATUSES.includes(manualStatus)) {
+            throw new Error(`Status must be one of: ${PROJECT_STATUSES.join(', ')}.`);
+        }
+        dataToUpdate.statusOverride = manualStatus;
+    }
     
     // 💡 לוג לבדיקה: הדפסת הנתונים שנשלחים לעדכון
     console.log('projectService.updateProject - updateData:', updateData);
@@ -278,6 +417,18 @@ const updateProject = async (projectId, organizationId, updateData) => {
                 }))
             });
         }
+
+        const budgetsBefore = activityService.summarizeBudgets(project.monthlyBudgets);
+        const budgetsAfter = activityService.summarizeBudgets(newMonthlyBudgets);
+        if (JSON.stringify(budgetsBefore) !== JSON.stringify(budgetsAfter)) {
+            await activityService.recordActivity({
+                projectId,
+                organizationId,
+                actorId,
+                type: activityService.ACTIVITY_TYPES.BUDGET_UPDATED,
+                data: { before: budgetsBefore, after: budgetsAfter },
+            });
+        }
     }
 
     let updatedProject;
@@ -302,10 +453,10 @@ const updateProject = async (projectId, organizationId, updateData) => {
                 teams: {
                     include: {
                         teamLeads: {
-                            include: { user: true }
+                            include: { user: { select: { id: true, fullName: true, email: true, profilePictureUrl: true, jobTitle: true } } }
                         },
                         teamMembers: {
-                            include: { user: true }
+                            include: { user: { select: { id: true, fullName: true, email: true, profilePictureUrl: true, jobTitle: true } } }
                         }
                     }
                 },
@@ -320,12 +471,16 @@ const updateProject = async (projectId, organizationId, updateData) => {
         throw new Error(`Database update failed: ${prismaError.message}`);
     }
 
+    // עדכון תאריכים או סטטוס ידני משפיעים על הסטטוס ומצב הלו"ז השמורים
+    const health = await refreshProjectHealth(projectId);
+
     // 3. עיבוד הנתונים למבנה נקי יותר
     const projectLeads = (updatedProject.projectTeamLeads || []).map(ptl => ptl.user);
     const associatedTeams = updatedProject.teams || [];
 
     const formattedProject = {
         ...updatedProject,
+        ...health,
         teamLeads: projectLeads,
         teams: associatedTeams,
         projectTeamLeads: undefined,
@@ -334,9 +489,9 @@ const updateProject = async (projectId, organizationId, updateData) => {
     return formattedProject;
 };
 
-const archiveProject = async (projectId, organizationId, isArchived) => {
+const archiveProject = async (projectId, organizationId, isArchived, actorId = null) => {
     const project = await prisma.project.findUnique({
-        where: { id: projectId, organizationId },
+        where: { id: projectId, organizationId, deletedAt: null },
     });
 
     if (!project) {
@@ -361,6 +516,15 @@ const archiveProject = async (projectId, organizationId, isArchived) => {
         }
     });
 
+    if (project.isArchived !== isArchived) {
+        await activityService.recordActivity({
+            projectId,
+            organizationId,
+            actorId,
+            type: isArchived ? activityService.ACTIVITY_TYPES.PROJECT_ARCHIVED : activityService.ACTIVITY_TYPES.PROJECT_UNARCHIVED,
+        });
+    }
+
     const projectLeads = (updatedProject.projectTeamLeads || []).map(ptl => ptl.user);
     const associatedTeams = updatedProject.teams || [];
 
@@ -400,18 +564,538 @@ const calculateProjectStatus = (tasks) => {
     return { status, completionPercentage };
 };
 
-const deleteProject = async (projectId, organizationId) => {
+const PROJECT_HEALTH = {
+    ON_TRACK: 'ON_TRACK',
+    AT_RISK: 'AT_RISK',
+    OFF_TRACK: 'OFF_TRACK',
+};
+// ספים לחישוב מצב הלו"ז
+const OFF_TRACK_OVERDUE_RATIO = 0.25; // רבע מהמשימות הפתוחות באיחור
+const AT_RISK_BEHIND_SCHEDULE = 20; // אחוזי ביצוע מתחת למצופה לפי הזמן שעבר
+const OFF_TRACK_BEHIND_SCHEDULE = 40;
+
+/**
+ * Computes the status, completion, overdue task count and schedule health of a project.
+ * @param {object} project - { startDate, endDate }
+ * @param {object[]} tasks - [{ status, endDate }]
+ * @param {Date} [today] - The current date (see getToday).
+ * @returns {object} { status, completionPercentage, overdueTaskCount, health }
+ */
+const calculateProjectHealth = (project, tasks, today = getToday()) => {
+    const { status, completionPercentage } = calculateProjectStatus(tasks);
+    const openTasks = tasks.filter(task => task.status !== 'הושלם');
+    const overdueTaskCount = openTasks.filter(task => task.endDate && task.endDate < today).length;
+    const stuckTaskCount = openTasks.filter(task => task.status === 'תקוע').length;
+
+    // ההתקדמות המצופה לפי החלק היחסי של הזמן שעבר בין תאריך ההתחלה לסיום
+    let behindSchedule = 0;
+    if (project.startDate && project.endDate && project.endDate > project.startDate) {
+        const elapsed = Math.min(Math.max(diffInDays(project.startDate, today) / diffInDays(project.startDate, project.endDate), 0), 1);
+        behindSchedule = elapsed * 100 - completionPercentage;
+    }
+    const overdueRatio = openTasks.length > 0 ? overdueTaskCount / openTasks.length : 0;
+
+    let health;
+    if (status === 'הושלם') {
+        health = PROJECT_HEALTH.ON_TRACK;
+    } else if ((project.endDate && project.endDate < today) || overdueRatio >= OFF_TRACK_OVERDUE_RATIO || behindSchedule >= OFF_TRACK_BEHIND_SCHEDULE) {
+        health = PROJECT_HEALTH.OFF_TRACK;
+    } else if (overdueTaskCount > 0 || stuckTaskCount > 0 || behindSchedule >= AT_RISK_BEHIND_SCHEDULE) {
+        health = PROJECT_HEALTH.AT_RISK;
+    } else {
+        health = PROJECT_HEALTH.ON_TRACK;
+    }
+
+    return { status, completionPercentage, overdueTaskCount, health };
+};
+
+/**
+ * Recomputes and stores the status, completion percentage, overdue task count and health of a project.
+ * Manual overrides (statusOverride / healthOverride) take precedence over the computed values.
+ * Called whenever the project's tasks change, and daily by the scheduler (overdue depends on the date).
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<object | null>} The stored values, or null if the project does not exist.
+ */
+const refreshProjectHealth = async (projectId) => {
     const project = await prisma.project.findUnique({
-        where: { id: projectId, organizationId },
+        where: { id: projectId },
+        select: {
+            startDate: true,
+            endDate: true,
+            statusOverride: true,
+            healthOverride: true,
+            tasks: { where: { deletedAt: null }, select: { status: true, endDate: true } },
+        },
     });
+    if (!project) return null;
+
+    const computed = calculateProjectHealth(project, project.tasks);
+    const data = {
+        status: project.statusOverride || computed.status,
+        completionPercentage: computed.completionPercentage,
+        overdueTaskCount: computed.overdueTaskCount,
+        health: project.healthOverride || computed.health,
+        healthUpdatedAt: new Date(),
+    };
+    await prisma.project.update({ where: { id: projectId }, data });
+    return { ...data, statusOverride: project.statusOverride, healthOverride: project.healthOverride };
+};
 
+/**
+ * Sets or clears the manual status / health of a project. null clears an override and goes back to the computed value.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {object} overrides
+ * @param {string|null} [overrides.status] - One of the project statuses, or null.
+ * @param {string|null} [overrides.health] - 'ON_TRACK' | 'AT_RISK' | 'OFF_TRACK', or null.
+ * @returns {Promise<object>} The stored values.
+ */
+const setProjectHealthOverride = async (projectId, organizationId, { status, health }) => {
+    const project = await prisma.project.findFirst({
+        where: { id: projectId, organizationId, deletedAt: null },
+        select: { id: true },
+    });
     if (!project) {
         throw new Error('Project not found in this organization.');
     }
 
-    await prisma.project.delete({
+    const data = {};
+    if (status !== undefined) {
+        if (status !== null && !PROJECT_STATUSES.includes(status)) {
+            throw new Error(`Status must be one of: ${PROJECT_STATUSES.join(', ')}.`);
+        }
+        data.statusOverride = status;
+    }
+    if (health !== undefined) {
+        if (health !== null && !Object.values(PROJECT_HEALTH).includes(health)) {
+            throw new Error(`Health must be one of: ${Object.values(PROJECT_HEALTH).join(', ')}.`);
+        }
+        data.healthOverride = health;
+    }
+    if (Object.keys(data).length === 0) {
+        throw new Error('No valid fields provided for update.');
+    }
+
+    await prisma.project.update({ where: { id: projectId }, data });
+    return refreshProjectHealth(projectId);
+};
+
+/**
+ * Recomputes the health of every active (non-archived) project.
+ * @returns {Promise<number>} Number of projects refreshed.
+ */
+const refreshAllProjectHealth = async () => {
+    const projects = await prisma.project.findMany({
+        where: { isArchived: false, deletedAt: null },
+        select: { id: true },
+    });
+    for (const project of projects) {
+        await refreshProjectHealth(project.id);
+    }
+    return projects.length;
+};
+
+/**
+ * Moves a project to the trash, together with everything in it. Nothing is deleted until
+ * the retention period ends, so the project can be restored (see trashService).
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} [actorId] - The ID of the user deleting the project.
+ * @returns {Promise<void>}
+ */
+const deleteProject = async (projectId, organizationId, actorId = null) => {
+    const project = await prisma.project.findUnique({
+        where: { id: projectId, organizationId, deletedAt: null },
+    });
+
+    if (!project) {
+        throw new Error('Project not found in this organization.');
+    }
+
+    await prisma.project.update({
         where: { id: projectId },
+        data: { deletedAt: new Date(), deletedById: actorId },
+    });
+
+    await activityService.recordActivity({
+        projectId,
+        organizationId,
+        actorId,
+        type: activityService.ACTIVITY_TYPES.PROJECT_DELETED,
+    });
+};
+
+/**
+ * Copies a project with its tasks (order, assignees), team links, team leads, project members and monthly budgets,
+ * all in a single transaction.
+ * Users without 'project.view.all' can only clone projects they can see, and copying finance entries requires 'finance.edit'.
+ * @param {string} projectId - The ID of the project to clone.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} userId - The ID of the current user.
+ * @param {string[]} permissions - The permissions of the user's role.
+ * @param {object} [options]
+ * @param {string} [options.title] - Title of the copy (default: '<title> (עותק)').
+ * @param {string} [options.startDate] - New project start date (YYYY-MM-DD); all dates move by the same number of days.
+ * @param {number} [options.shiftDays] - Alternatively, the number of days to move all dates by.
+ * @param {boolean} [options.includeComments=false] - Copy task comments.
+ * @param {boolean} [options.includeFinanceEntries=false] - Copy finance entries (linked to the copied tasks).
+ * @param {boolean} [options.includeArchiveState=false] - Keep the archive flag; otherwise the copy is active.
+ * @param {boolean} [options.keepTaskStatus=false] - Keep task statuses; otherwise every task starts as 'מתוכנן'.
+ * @returns {Promise<object>} The new project.
+ */
+const cloneProject = async (projectId, organizationId, userId, permissions, {
+    title,
+    startDate,
+    shiftDays,
+    includeComments = false,
+    includeFinanceEntries = false,
+    includeArchiveState = false,
+    keepTaskStatus = false,
+} = {}) => {
+    if (includeFinanceEntries && !permissions.includes('finance.edit')) {
+        throw new Error('You do not have permission to copy finance entries.');
+    }
+
+    const source = await prisma.project.findFirst({
+        where: {
+            id: projectId,
+            organizationId,
+            deletedAt: null,
+            ...(permissions.includes('project.view.all') ? {} : { OR: buildProjectAccessFilter(userId) }),
+        },
+        include: {
+            teams: { select: { id: true } },
+            projectTeamLeads: { select: { userId: true } },
+            projectMembers: { select: { userId: true, role: true } },
+            monthlyBudgets: true,
+            tasks: {
+                where: { deletedAt: null },
+                orderBy: { displayOrder: 'asc' },
+                include: {
+                    assignees: { select: { userId: true } },
+                    comments: includeComments ? { orderBy: { createdAt: 'asc' } } : false,
+                },
+            },
+            financeEntries: includeFinanceEntries,
+        },
     });
+    if (!source) {
+        throw new Error('Project not found in this organization.');
+    }
+
+    // חישוב ההזזה בימים: לפי תאריך התחלה חדש (מול תאריך ההתחלה של הפרויקט או המשימה המוקדמת ביותר) או לפי מספר ימים
+    let days = 0;
+    if (startDate !== undefined) {
+        const newStart = toDateOnly(startDate);
+        if (!newStart) {
+            throw new Error('startDate must be a valid date.');
+        }
+        const taskStarts = source.tasks.filter(t => t.startDate).map(t => t.startDate.getTime());
+        const baseDate = source.startDate || (taskStarts.length > 0 ? new Date(Math.min(...taskStarts)) : null);
+        days = baseDate ? diffInDays(baseDate, newStart) : 0;
+    } else if (shiftDays !== undefined) {
+        days = Number(shiftDays);
+        if (!Number.isInteger(days)) {
+            throw new Error('shiftDays must be a whole number.');
+        }
+    }
+    const shiftDate = (date) => (date && days !== 0 ? addDays(date, days) : date);
+
+    // התקציבים החודשיים זזים לפי החודשים שבין תאריך ההתחלה הישן לחדש
+    const oldStart = source.startDate || new Date();
+    const newStartMonth = shiftDate(oldStart);
+    const monthShift = (newStartMonth.getUTCFullYear() * 12 + newStartMonth.getUTCMonth()) - (oldStart.getUTCFullYear() * 12 + oldStart.getUTCMonth());
+
+    const newProjectId = await prisma.$transaction(async (tx) => {
+        const project = await tx.project.create({
+            data: {
+                organizationId,
+                title: title || `${source.title} (עותק)`,
+                description: source.description,
+                startDate: shiftDate(source.startDate),
+                endDate: shiftDate(source.endDate),
+                status: source.status,
+                isArchived: includeArchiveState ? source.isArchived : false,
+                teams: source.teams.length > 0 ? { connect: source.teams.map(team => ({ id: team.id })) } : undefined,
+                projectTeamLeads: {
+                    create: source.projectTeamLeads.map(lead => ({ userId: lead.userId })),
+                },
+                projectMembers: {
+                    create: source.projectMembers.map(member => ({ userId: member.userId, role: member.role })),
+                },
+            },
+        });
+
+        if (source.monthlyBudgets.length > 0) {
+            await tx.monthlyBudget.createMany({
+                data: source.monthlyBudgets.map(budget => ({
+                    ...addMonths(budget.year, budget.month, monthShift),
+                    incomeBudget: budget.incomeBudget,
+                    expenseBudget: budget.expenseBudget,
+                    projectId: project.id,
+                    organizationId,
+                })),
+            });
+        }
+
+        const taskIdMap = {};
+        for (const task of source.tasks) {
+            const newTask = await tx.task.create({
+                data: {
+                    projectId: project.id,
+                    title: task.title,
+                    description: task.description,
+                    startDate: shiftDate(task.startDate),
+                    endDate: shiftDate(task.endDate),
+                    expense: task.expense,
+                    status: keepTaskStatus ? task.status : 'מתוכנן',
+                    color: task.color,
+                    displayOrder: task.displayOrder,
+                    assignees: {
+                        create: task.assignees.map(assignee => ({ userId: assignee.userId })),
+                    },
+                },
+            });
+            taskIdMap[task.id] = newTask.id;
+
+            if (includeComments && task.comments.length > 0) {
+                await tx.comment.createMany({
+                    data: task.comments.map(comment => ({
+                        taskId: newTask.id,
+                        authorId: comment.authorId,
+                        content: comment.content,
+                        createdAt: comment.createdAt,
+                    })),
+                });
+            }
+        }
+
+        if (includeFinanceEntries && source.financeEntries.length > 0) {
+            await tx.financeEntry.createMany({
+                data: source.financeEntries.map(entry => ({
+                    organizationId,
+                    projectId: project.id,
+                    taskId: entry.taskId ? taskIdMap[entry.taskId] || null : null,
+                    type: entry.type,
+                    amount: entry.amount,
+                    vatPercentage: entry.vatPercentage,
+                    deductions: entry.deductions,
+                    netAmount: entry.netAmount,
+                    status: entry.status,
+                    description: entry.description,
+                    notes: entry.notes,
+                    date: shiftDate(entry.date),
+                })),
+            });
+        }
+
+        return project.id;
+    });
+
+    await refreshProjectHealth(newProjectId);
+
+    const newProject = await prisma.project.findUnique({
+        where: { id: newProjectId },
+        include: {
+            teams: { select: { id: true, name: true } },
+            projectTeamLeads: {
+                include: {
+                    user: {
+                        select: { id: true, fullName: true, email: true, profilePictureUrl: true, jobTitle: true }
+                    }
+                }
+            },
+            tasks: {
+                orderBy: { displayOrder: 'asc' },
+                include: { assignees: { select: { userId: true } } },
+            },
+            monthlyBudgets: true,
+        },
+    });
+
+    return {
+        ...newProject,
+        teamLeads: newProject.projectTeamLeads.map(ptl => ptl.user),
+        projectTeamLeads: undefined,
+        clonedFromId: source.id,
+    };
+};
+
+const COMPLETION_BUCKETS = [
+    { range: '0-24', min: 0, max: 24 },
+    { range: '25-49', min: 25, max: 49 },
+    { range: '50-74', min: 50, max: 74 },
+    { range: '75-99', min: 75, max: 99 },
+    { range: '100', min: 100, max: 100 },
+];
+const DEFAULT_DEADLINE_DAYS = 14;
+const MAX_UPCOMING_DEADLINES = 20;
+const MAX_AT_RISK_PROJECTS = 5;
+const HEALTH_SEVERITY = { OFF_TRACK: 2, AT_RISK: 1, ON_TRACK: 0 };
+
+/**
+ * Builds the portfolio dashboard: aggregates across the active projects the user can see.
+ * Users without 'project.view.all' only see their own projects (as in getAllProjects),
+ * and the budget comparison is only included with 'finance.view'.
+ * @param {string} organizationId - The ID of the current organization.
+ * @param {string} userId - The ID of the current user.
+ * @param {string[]} permissions - The permissions of the user's role.
+ * @param {object} [options]
+ * @param {string|string[]} [options.teamId] - Only projects linked to any of these teams.
+ * @param {string} [options.from] - Only projects running on or after this date (YYYY-MM-DD). Also limits budgets and finance entries.
+ * @param {string} [options.to] - Only projects running on or before this date.
+ * @param {number} [options.days=14] - How far ahead upcoming deadlines are listed.
+ * @returns {Promise<object>} { totalProjects, byStatus, completionDistribution, overdueTasks, budgetVsActual, upcomingDeadlines, topAtRisk }
+ */
+const getPortfolio = async (organizationId, userId, permissions, { teamId, from, to, days = DEFAULT_DEADLINE_DAYS } = {}) => {
+    const teamIds = parseList(teamId);
+    const fromDate = toDateOnly(from);
+    const toDate = toDateOnly(to);
+    const today = getToday();
+
+    const conditions = [];
+    if (!permissions.includes('project.view.all')) {
+        conditions.push({ OR: buildProjectAccessFilter(userId) });
+    }
+    if (teamIds.length > 0) {
+        conditions.push({ teams: { some: { id: { in: teamIds } } } });
+    }
+    // פרויקט נכלל אם תקופת הפעילות שלו חופפת לטווח המבוקש
+    if (fromDate) {
+        conditions.push({ OR: [{ endDate: null }, { endDate: { gte: fromDate } }] });
+    }
+    if (toDate) {
+        conditions.push({ OR: [{ startDate: null }, { startDate: { lte: toDate } }] });
+    }
+
+    const projects = await prisma.project.findMany({
+        where: { organizationId, isArchived: false, deletedAt: null, AND: conditions },
+        select: {
+            id: true,
+            title: true,
+            endDate: true,
+            status: true,
+            completionPercentage: true,
+            health: true,
+        },
+    });
+    const projectIds = projects.map(p => p.id);
+    const projectById = Object.fromEntries(projects.map(p => [p.id, p]));
+
+    const byStatus = Object.fromEntries(PROJECT_STATUSES.map(s => [s, 0]));
+    projects.forEach(p => { byStatus[p.status] = (byStatus[p.status] || 0) + 1; });
+
+    const completionDistribution = COMPLETION_BUCKETS.map(({ range, min, max }) => ({
+        range,
+        count: projects.filter(p => p.completionPercentage >= min && p.completionPercentage <= max).length,
+    }));
+
+    const deadlineEnd = addDays(today, days);
+    const [overdueGroups, milestones, tasks] = await Promise.all([
+        prisma.task.groupBy({
+            by: ['projectId'],
+            where: { projectId: { in: projectIds }, deletedAt: null, status: { not: 'הושלם' }, endDate: { lt: today } },
+            _count: { _all: true },
+        }),
+        prisma.milestone.findMany({
+            where: { projectId: { in: projectIds }, status: 'PENDING', dueDate: { gte: today, lte: deadlineEnd } },
+            select: { id: true, title: true, dueDate: true, projectId: true },
+        }),
+        prisma.task.findMany({
+            where: { projectId: { in: projectIds }, deletedAt: null, status: { not: 'הושלם' }, endDate: { gte: today, lte: deadlineEnd } },
+            select: { id: true, title: true, endDate: true, projectId: true },
+        }),
+    ]);
+
+    const overdueByProject = Object.fromEntries(overdueGroups.map(g => [g.projectId, g._count._all]));
+    const overdueTasks = overdueGroups
+        .map(g => ({ projectId: g.projectId, title: projectById[g.projectId].title, count: g._count._all }))
+        .sort((a, b) => b.count - a.count);
+
+    // מועדים קרובים: סיום פרויקט, אבני דרך ומשימות פתוחות
+    const deadlineOf = (type, item, projectId, dueDate) => ({
+        type,
+        id: item.id,
+        title: item.title,
+        dueDate,
+        projectId,
+        projectTitle: projectById[projectId].title,
+    });
+    const upcomingDeadlines = [
+        ...projects
+            .filter(p => p.endDate && p.endDate >= today && p.endDate <= deadlineEnd && p.status !== 'הושלם')
+            .map(p => deadlineOf('project', p, p.id, p.endDate)),
+        ...milestones.map(m => deadlineOf('milestone', m, m.projectId, m.dueDate)),
+        ...tasks.map(t => deadlineOf('task', t, t.projectId, t.endDate)),
+    ]
+        .sort((a, b) => a.dueDate - b.dueDate)
+        .slice(0, MAX_UPCOMING_DEADLINES);
+
+    const topAtRisk = projects
+        .filter(p => p.health !== PROJECT_HEALTH.ON_TRACK || p.status === 'בסיכון')
+        .map(p => ({ ...p, overdueTaskCount: overdueByProject[p.id] || 0 }))
+        .sort((a, b) => (HEALTH_SEVERITY[b.health] || 0) - (HEALTH_SEVERITY[a.health] || 0)
+            || b.overdueTaskCount - a.overdueTaskCount
+            || a.completionPercentage - b.completionPercentage)
+        .slice(0, MAX_AT_RISK_PROJECTS);
+
+    // תקציב מול ביצוע - רק למי שמורשה לראות נתונים כספיים
+    let budgetVsActual = null;
+    if (permissions.includes('finance.view')) {
+        const entryDateRange = {};
+        if (fromDate) entryDateRange.gte = fromDate;
+        if (toDate) entryDateRange.lte = toDate;
+        const [budgets, actuals] = await Promise.all([
+            prisma.monthlyBudget.findMany({
+                where: { projectId: { in: projectIds } },
+                select: { projectId: true, year: true, month: true, incomeBudget: true, expenseBudget: true },
+            }),
+            prisma.financeEntry.groupBy({
+                by: ['projectId', 'type'],
+                where: { projectId: { in: projectIds }, ...(Object.keys(entryDateRange).length > 0 ? { date: entryDateRange } : {}) },
+                _sum: { netAmount: true },
+            }),
+        ]);
+
+        // תקציבים חודשיים נספרים אם החודש נמצא בטווח המבוקש
+        const monthIndex = (date) => date.getUTCFullYear() * 12 + date.getUTCMonth() + 1;
+        const inRange = (budget) => {
+            const index = budget.year * 12 + budget.month;
+            return (!fromDate || index >= monthIndex(fromDate)) && (!toDate || index <= monthIndex(toDate));
+        };
+
+        const totals = Object.fromEntries(projects.map(p => [p.id, {
+            projectId: p.id,
+            title: p.title,
+            incomeBudget: 0,
+            expenseBudget: 0,
+            actualIncome: 0,
+            actualExpenses: 0,
+        }]));
+        budgets.filter(inRange).forEach(b => {
+            totals[b.projectId].incomeBudget += b.incomeBudget;
+            totals[b.projectId].expenseBudget += b.expenseBudget;
+        });
+        actuals.forEach(a => {
+            const key = a.type === 'INCOME' ? 'actualIncome' : 'actualExpenses';
+            totals[a.projectId][key] += a._sum.netAmount || 0;
+        });
+        budgetVsActual = Object.values(totals).map(t => ({
+            ...t,
+            expenseVariance: t.expenseBudget - t.actualExpenses, // negative means over budget
+            incomeVariance: t.actualIncome - t.incomeBudget,
+        }));
+    }
+
+    return {
+        totalProjects: projects.length,
+        byStatus,
+        completionDistribution,
+        overdueTasks,
+        budgetVsActual,
+        upcomingDeadlines,
+        topAtRisk,
+    };
 };
 
 module.exports = {
@@ -440,7 +1124,7 @@ const createFinanceEntry = async (organizationId, projectId, entryData) => {
 
     // בודק אם הפרויקט קיים ושייך לארגון הנוכחי
     const project = await prisma.project.findUnique({
-        where: { id: projectId, organizationId: organizationId },
+        where: { id: projectId, organizationId: organizationId, deletedAt: null },
         select: { id: true, title: true }
     });
     if (!project) {
@@ -450,7 +1134,7 @@ const createFinanceEntry = async (organizationId, projectId, entryData) => {
     // בודק אם המשימה קיימת ושייכת לפרויקט, אם צוינה
     if (taskId) {
         const task = await prisma.task.findUnique({
-            where: { id: taskId, projectId: projectId },
+            where: { id: taskId, projectId: projectId, deletedAt: null },
         });
         if (!task) {
             throw new Error('Task not found or does not belong to the specified project.');
@@ -510,7 +1194,7 @@ const updateFinanceEntry = async (entryId, organizationId, updateData) => {
     // בודק אם המשימה קיימת ושייכת לפרויקט הנכון, אם צוינה
     if (taskId) {
         const task = await prisma.task.findUnique({
-            where: { id: taskId, projectId: existingEntry.projectId },
+            where: { id: taskId, projectId: existingEntry.projectId, deletedAt: null },
         });
         if (!task) {
             throw new Error('Task not found or does not belong to the specified project.');
@@ -568,7 +1252,7 @@ const deleteFinanceEntry = async (entryId, organizationId) => {
 const resetProjectFinances = async (organizationId, projectId) => {
     // בודק אם הפרויקט קיים ושייך לארגון
     const project = await prisma.project.findUnique({
-        where: { id: projectId, organizationId: organizationId },
+        where: { id: projectId, organizationId: organizationId, deletedAt: null },
     });
     if (!project) {
         throw new Error('Project not found or does not belong to this organization.');
@@ -591,7 +1275,7 @@ const resetProjectFinances = async (organizationId, projectId) => {
 const restoreProjectFinances = async (organizationId, projectId, entryId) => {
     // בודק אם הפרויקט קיים ושייך לארגון
     const project = await prisma.project.findUnique({
-        where: { id: projectId, organizationId: organizationId },
+        where: { id: projectId, organizationId: organizationId, deletedAt: null },
     });
     if (!project) {
         throw new Error('Project not found or does not belong to this organization.');
@@ -632,6 +1316,13 @@ module.exports = {
     archiveProject,
     deleteProject,
     calculateProjectStatus,
+    calculateProjectHealth,
+    refreshProjectHealth,
+    refreshAllProjectHealth,
+    setProjectHealthOverride,
+    PROJECT_HEALTH,
+    cloneProject,
+    getPortfolio,
     createFinanceEntry, // 💡 יש לוודא שהפונקציה הזו קיימת
     updateFinanceEntry,
     deleteFinanceEntry,
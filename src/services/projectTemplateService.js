@@ -0,0 +1,389 @@
+// src/services/projectTemplateService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { toDateOnly, addDays, diffInDays, addMonths } = require('../utils/dateUtils');
+const projectService = require('./projectService');
+const { buildProjectAccessFilter } = require('./projectMemberService');
+
+/**
+ * Validates and normalizes the task list of a template.
+ * @param {Array<object>} tasks - [{ title, description, color, startOffsetDays, endOffsetDays, assigneeRole }]
+ * @returns {Array<object>}
+ */
+const normalizeTemplateTasks = (tasks) => {
+    if (!Array.isArray(tasks)) {
+        throw new Error('Template tasks must be an array.');
+    }
+    return tasks.map((task, index) => {
+        if (!task || !task.title || !task.color) {
+            throw new Error(`Template task #${index + 1} must have a title and a color.`);
+        }
+        const startOffsetDays = Number(task.startOffsetDays || 0);
+        const endOffsetDays = Number(task.endOffsetDays !== undefined ? task.endOffsetDays : startOffsetDays);
+        if (!Number.isInteger(startOffsetDays) || !Number.isInteger(endOffsetDays) || startOffsetDays < 0 || endOffsetDays < startOffsetDays) {
+            throw new Error(`Template task #${index + 1} must have whole, non-negative day offsets with the end not before the start.`);
+        }
+        return {
+            title: task.title,
+            description: task.description || null,
+            color: task.color,
+            startOffsetDays,
+            endOffsetDays,
+            assigneeRole: task.assigneeRole || null,
+        };
+    });
+};
+
+/**
+ * Validates and normalizes the monthly budget skeleton of a template.
+ * @param {Array<object>} monthlyBudgets - [{ monthOffset, incomeBudget, expenseBudget }]
+ * @returns {Array<object>}
+ */
+const normalizeTemplateBudgets = (monthlyBudgets) => {
+    if (!Array.isArray(monthlyBudgets)) {
+        throw new Error('Template monthly budgets must be an array.');
+    }
+    const seenOffsets = new Set();
+    return monthlyBudgets.map((budget, index) => {
+        const monthOffset = Number(budget.monthOffset || 0);
+        if (!Number.isInteger(monthOffset) || monthOffset < 0) {
+            throw new Error(`Template budget #${index + 1} must have a whole, non-negative month offset.`);
+        }
+        if (seenOffsets.has(monthOffset)) {
+            throw new Error(`Template budget #${index + 1} repeats month offset ${monthOffset}.`);
+        }
+        seenOffsets.add(monthOffset);
+        return {
+            monthOffset,
+            incomeBudget: Number(budget.incomeBudget) || 0,
+            expenseBudget: Number(budget.expenseBudget) || 0,
+        };
+    });
+};
+
+const findTemplate = async (templateId, organizationId) => {
+    const template = await prisma.projectTemplate.findFirst({
+        where: { id: templateId, organizationId },
+    });
+    if (!template) {
+        throw new Error('Project template not found in this organization.');
+    }
+    return template;
+};
+
+/**
+ * Lists the project templates of an organization.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<Array<object>>}
+ */
+const getTemplates = async (organizationId) => {
+    return prisma.projectTemplate.findMany({
+        where: { organizationId },
+        orderBy: { name: 'asc' },
+    });
+};
+
+/**
+ * Retrieves a single project template.
+ * @param {string} templateId - The ID of the template.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<object>}
+ */
+const getTemplateById = async (templateId, organizationId) => {
+    return findTemplate(templateId, organizationId);
+};
+
+/**
+ * Creates a project template.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} createdById - The ID of the user creating the template.
+ * @param {object} templateData
+ * @param {string} templateData.name - Unique within the organization.
+ * @param {string} [templateData.description]
+ * @param {number} [templateData.durationDays] - Project length; defaults to the end of the last task.
+ * @param {object[]} [templateData.tasks] - [{ title, description, color, startOffsetDays, endOffsetDays, assigneeRole }]
+ * @param {object[]} [templateData.monthlyBudgets] - [{ monthOffset, incomeBudget, expenseBudget }]
+ * @returns {Promise<object>} The new template.
+ */
+const createTemplate = async (organizationId, createdById, { name, description, durationDays, tasks = [], monthlyBudgets = [] }) => {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Template name is required.');
+    }
+    const normalizedTasks = normalizeTemplateTasks(tasks);
+    const normalizedBudgets = normalizeTemplateBudgets(monthlyBudgets);
+
+    let duration = durationDays !== undefined && durationDays !== null ? Number(durationDays) : null;
+    if (duration === null && normalizedTasks.length > 0) {
+        duration = Math.max(...normalizedTasks.map(t => t.endOffsetDays));
+    }
+    if (duration !== null && (!Number.isInteger(duration) || duration < 0)) {
+        throw new Error('Template duration must be a whole, non-negative number of days.');
+    }
+
+    const existing = await prisma.projectTemplate.findUnique({
+        where: { organizationId_name: { organizationId, name: name.trim() } },
+    });
+    if (existing) {
+        throw new Error('A project template with this name already exists.');
+    }
+
+    return prisma.projectTemplate.create({
+        data: {
+            organizationId,
+            name: name.trim(),
+            description,
+            durationDays: duration,
+            tasks: normalizedTasks,
+            monthlyBudgets: normalizedBudgets,
+            createdById,
+        },
+    });
+};
+
+/**
+ * Saves an existing project as a template.
+ * Task and budget dates become offsets from the project start date (or from its earliest task if it has none),
+ * and each task's default assignee role is the organization role of its first assignee.
+ * Users without 'project.view.all' can only save projects they can see.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} createdById - The ID of the user saving the template.
+ * @param {string[]} permissions - The permissions of the user's role.
+ * @param {object} templateData - { name, description }
+ * @returns {Promise<object>} The new template.
+ */
+const saveProjectAsTemplate = async (projectId, organizationId, createdById, permissions, { name, description }) => {
+    const project = await prisma.project.findFirst({
+        where: {
+            id: projectId,
+            organizationId,
+            deletedAt: null,
+            ...(permissions.includes('project.view.all') ? {} : { OR: buildProjectAccessFilter(createdById) }),
+        },
+        include: {
+            tasks: {
+                where: { deletedAt: null },
+                orderBy: { displayOrder: 'asc' },
+                include: { assignees: { select: { userId: true }, orderBy: { createdAt: 'asc' } } },
+            },
+            monthlyBudgets: true,
+        },
+    });
+    if (!project) {
+        throw new Error('Project not found in this organization.');
+    }
+
+    const taskStarts = project.tasks.filter(t => t.startDate).map(t => t.startDate.getTime());
+    const baseDate = project.startDate || (taskStarts.length > 0 ? new Date(Math.min(...taskStarts)) : null);
+
+    const assigneeIds = [...new Set(project.tasks.map(t => t.assignees[0] && t.assignees[0].userId).filter(Boolean))];
+    const memberships = await prisma.membership.findMany({
+        where: { organizationId, userId: { in: assigneeIds } },
+        select: { userId: true, role: true },
+    });
+    const roleByUser = Object.fromEntries(memberships.map(m => [m.userId, m.role]));
+
+    const tasks = project.tasks.map(task => {
+        const startOffsetDays = baseDate && task.startDate ? Math.max(diffInDays(baseDate, task.startDate), 0) : 0;
+        const endOffsetDays = baseDate && task.endDate ? Math.max(diffInDays(baseDate, task.endDate), startOffsetDays) : startOffsetDays;
+        return {
+            title: task.title,
+            description: task.description,
+            color: task.color,
+            startOffsetDays,
+            endOffsetDays,
+            assigneeRole: task.assignees[0] ? roleByUser[task.assignees[0].userId] || null : null,
+        };
+    });
+
+    const baseMonth = baseDate
+        ? { year: baseDate.getUTCFullYear(), month: baseDate.getUTCMonth() + 1 }
+        : project.monthlyBudgets.reduce((min, b) => (!min || b.year * 12 + b.month < min.year * 12 + min.month ? { year: b.year, month: b.month } : min), null);
+    const monthlyBudgets = project.monthlyBudgets
+        .map(budget => ({
+            monthOffset: (budget.year * 12 + budget.month) - (baseMonth.year * 12 + baseMonth.month),
+            incomeBudget: budget.incomeBudget,
+            expenseBudget: budget.expenseBudget,
+        }))
+        .filter(budget => budget.monthOffset >= 0);
+
+    const durationDays = baseDate && project.endDate ? Math.max(diffInDays(baseDate, project.endDate), 0) : undefined;
+
+    return createTemplate(organizationId, createdById, {
+        name,
+        description: description !== undefined ? description : project.description,
+        durationDays,
+        tasks,
+        monthlyBudgets,
+    });
+};
+
+/**
+ * Deletes a project template. Projects created from it are not affected.
+ * @param {string} templateId - The ID of the template.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<void>}
+ */
+const deleteTemplate = async (templateId, organizationId) => {
+    const template = await findTemplate(templateId, organizationId);
+    await prisma.projectTemplate.delete({ where: { id: template.id } });
+};
+
+/**
+ * Picks the assignees for each template role.
+ * An explicit list in roleAssignments wins; otherwise every member of the project's teams holding that role is assigned.
+ */
+const resolveRoleAssignees = async (organizationId, roles, teamIds, roleAssignments) => {
+    const assigneesByRole = {};
+    const explicitIds = [...new Set(Object.values(roleAssignments).flat())];
+    if (explicitIds.length > 0) {
+        const members = await prisma.membership.count({
+            where: { organizationId, userId: { in: explicitIds } },
+        });
+        if (members !== explicitIds.length) {
+            throw new Error('One or more assigned users are invalid or not members of this organization.');
+        }
+    }
+
+    const teamMembers = teamIds.length > 0
+        ? await prisma.teamMember.findMany({
+            where: { teamId: { in: teamIds }, team: { organizationId } },
+            select: { user: { select: { id: true, memberships: { where: { organizationId }, select: { role: true } } } } },
+        })
+        : [];
+
+    for (const role of roles) {
+        if (Array.isArray(roleAssignments[role])) {
+            assigneesByRole[role] = [...new Set(roleAssignments[role])];
+        } else {
+            assigneesByRole[role] = [...new Set(teamMembers
+                .filter(tm => tm.user.memberships.some(m => m.role === role))
+                .map(tm => tm.user.id))];
+        }
+    }
+    return assigneesByRole;
+};
+
+/**
+ * Creates a project from a template, with all its tasks and monthly budgets placed relative to the start date.
+ * @param {string} templateId - The ID of the template.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {object} projectData
+ * @param {string} projectData.title
+ * @param {string} projectData.startDate - YYYY-MM-DD
+ * @param {string} [projectData.description] - Defaults to the template description.
+ * @param {string[]} projectData.teamLeads - Array of user IDs for project team leads.
+ * @param {string[]} [projectData.teamIds] - Array of team IDs to associate with the project.
+ * @param {object} [projectData.roleAssignments] - { [roleName]: userId[] } overriding the default assignees of a template role.
+ * @returns {Promise<object>} The newly created project.
+ */
+const createProjectFromTemplate = async (templateId, organizationId, { title, startDate, description, teamLeads: teamLeadIds, teamIds = [], roleAssignments = {} }) => {
+    const template = await findTemplate(templateId, organizationId);
+
+    const start = toDateOnly(startDate);
+    if (!start) {
+        throw new Error('A valid start date is required.');
+    }
+
+    const leadMembers = await prisma.membership.count({
+        where: { organizationId, userId: { in: teamLeadIds } },
+    });
+    if (leadMembers !== new Set(teamLeadIds).size) {
+        throw new Error('One or more team leads are invalid or not members of this organization.');
+    }
+    if (teamIds.length > 0) {
+        const teams = await prisma.team.count({ where: { id: { in: teamIds }, organizationId } });
+        if (teams !== new Set(teamIds).size) {
+            throw new Error('One or more teams are invalid or not part of this organization.');
+        }
+    }
+
+    const templateTasks = template.tasks || [];
+    const roles = [...new Set(templateTasks.map(t => t.assigneeRole).filter(Boolean))];
+    const assigneesByRole = await resolveRoleAssignees(organizationId, roles, teamIds, roleAssignments || {});
+
+    const projectId = await prisma.$transaction(async (tx) => {
+        const project = await tx.project.create({
+            data: {
+                organizationId,
+                title,
+                description: description !== undefined ? description : template.description,
+                startDate: start,
+                endDate: template.durationDays !== null ? addDays(start, template.durationDays) : undefined,
+                projectTeamLeads: {
+                    create: [...new Set(teamLeadIds)].map(userId => ({ userId })),
+                },
+                teams: teamIds.length > 0 ? { connect: teamIds.map(id => ({ id })) } : undefined,
+            },
+        });
+
+        const budgets = (template.monthlyBudgets || []).map(budget => ({
+            ...addMonths(start.getUTCFullYear(), start.getUTCMonth() + 1, budget.monthOffset),
+            incomeBudget: budget.incomeBudget,
+            expenseBudget: budget.expenseBudget,
+            projectId: project.id,
+            organizationId,
+        }));
+        if (budgets.length > 0) {
+            await tx.monthlyBudget.createMany({ data: budgets });
+        }
+
+        for (const [index, task] of templateTasks.entries()) {
+            const assigneeIds = task.assigneeRole ? assigneesByRole[task.assigneeRole] || [] : [];
+            await tx.task.create({
+                data: {
+                    projectId: project.id,
+                    title: task.title,
+                    description: task.description,
+                    color: task.color,
+                    startDate: addDays(start, task.startOffsetDays),
+                    endDate: addDays(start, task.endOffsetDays),
+                    status: 'מתוכנן',
+                    displayOrder: index,
+                    assignees: {
+                        create: assigneeIds.map(userId => ({ userId })),
+                    },
+                },
+            });
+        }
+
+        return project.id;
+    });
+
+    await projectService.refreshProjectHealth(projectId);
+
+    const newProject = await prisma.project.findUnique({
+        where: { id: projectId },
+        include: {
+            teams: { select: { id: true, name: true } },
+            projectTeamLeads: {
+                include: {
+                    user: {
+                        select: { id: true, fullName: true, email: true, profilePictureUrl: true, jobTitle: true }
+                    }
+                }
+            },
+            tasks: {
+                orderBy: { displayOrder: 'asc' },
+                include: { assignees: { select: { userId: true } } },
+            },
+            monthlyBudgets: true,
+        },
+    });
+
+    return {
+        ...newProject,
+        teamLeads: newProject.projectTeamLeads.map(ptl => ptl.user),
+        projectTeamLeads: undefined,
+        templateId: template.id,
+    };
+};
+
+module.exports = {
+    getTemplates,
+    getTemplateById,
+    createTemplate,
+    saveProjectAsTemplate,
+    deleteTemplate,
+    createProjectFromTemplate,
+};
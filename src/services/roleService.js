@@ -0,0 +1,232 @@
+// src/services/roleService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES, OWNER_ROLE } = require('../utils/permissions');
+const membershipService = require('./membershipService');
+
+const MIN_ROLE_LEVEL = 1;
+const MAX_ROLE_LEVEL = 99; // levels above this are reserved for the owner role
+
+/**
+ * Creates the default roles in a new organization.
+ * @param {object} tx - A Prisma client or interactive transaction client.
+ * @param {string} organizationId - The ID of the new organization.
+ * @returns {Promise<void>}
+ */
+const seedDefaultRoles = async (tx, organizationId) => {
+  await tx.role.createMany({
+    data: DEFAULT_ROLES.map(role => ({
+      organizationId,
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions,
+      level: role.level,
+      isSystem: true,
+    })),
+    skipDuplicates: true,
+  });
+};
+
+/**
+ * Lists the roles of an organization with the number of members holding each one.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<Array<object>>}
+ */
+const getRoles = async (organizationId) => {
+  const [roles, counts] = await Promise.all([
+    prisma.role.findMany({
+      where: { organizationId },
+      orderBy: { level: 'desc' },
+    }),
+    prisma.membership.groupBy({
+      by: ['role'],
+      where: { organizationId },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const countByRole = Object.fromEntries(counts.map(c => [c.role, c._count._all]));
+  return roles.map(role => ({ ...role, memberCount: countByRole[role.name] || 0 }));
+};
+
+/**
+ * Finds a role of an organization by name.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} name - The role name.
+ * @returns {Promise<object | null>}
+ */
+const getRoleByName = async (organizationId, name) => {
+  if (!name) return null;
+  return prisma.role.findUnique({
+    where: { organizationId_name: { organizationId, name } },
+  });
+};
+
+/**
+ * Returns the level of a role, or 0 if the role does not exist.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} name - The role name.
+ * @returns {Promise<number>}
+ */
+const getRoleLevel = async (organizationId, name) => {
+  const role = await getRoleByName(organizationId, name);
+  return role ? role.level : 0;
+};
+
+// Checks the name, level and permissions of a role being created or edited by a member
+const validateRoleInput = ({ name, level, permissions }, actor) => {
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    throw new Error('Role name is required.');
+  }
+  if (level !== undefined) {
+    if (!Number.isInteger(level) || level < MIN_ROLE_LEVEL || level > MAX_ROLE_LEVEL) {
+      throw new Error(`Role level must be an integer between ${MIN_ROLE_LEVEL} and ${MAX_ROLE_LEVEL}.`);
+    }
+    if (level >= actor.level) {
+      throw new Error('You cannot create or edit a role at or above your own level.');
+    }
+  }
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      throw new Error('Permissions must be an array.');
+    }
+    const unknown = permissions.filter(p => !ALL_PERMISSIONS.includes(p));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}.`);
+    }
+    const notHeld = permissions.filter(p => !actor.permissions.includes(p));
+    if (notHeld.length > 0) {
+      throw new Error(`You cannot grant permissions you do not have: ${notHeld.join(', ')}.`);
+    }
+  }
+};
+
+/**
+ * Creates a custom role.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {object} actor - The acting member ({ level, permissions } from req.membership).
+ * @param {object} data - { name, description, level, permissions }
+ * @returns {Promise<object>} The new role.
+ */
+const createRole = async (organizationId, actor, { name, description, level, permissions }) => {
+  if (name === undefined || level === undefined || permissions === undefined) {
+    throw new Error('Role name, level and permissions are required.');
+  }
+  validateRoleInput({ name, level, permissions }, actor);
+
+  const existing = await getRoleByName(organizationId, name.trim());
+  if (existing) {
+    throw new Error('A role with this name already exists.');
+  }
+
+  return prisma.role.create({
+    data: {
+      organizationId,
+      name: name.trim(),
+      description,
+      level,
+      permissions: [...new Set(permissions)],
+    },
+  });
+};
+
+const findManageableRole = async (roleId, organizationId, actor) => {
+  const role = await prisma.role.findFirst({ where: { id: roleId, organizationId } });
+  if (!role) {
+    throw new Error('Role not found.');
+  }
+  if (role.name === OWNER_ROLE) {
+    throw new Error('The owner role cannot be changed.');
+  }
+  if (role.level >= actor.level) {
+    throw new Error('You cannot create or edit a role at or above your own level.');
+  }
+  return role;
+};
+
+/**
+ * Updates a role. System roles keep their name; renaming a custom role updates its members and pending invitations.
+ * @param {string} roleId - The ID of the role.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {object} actor - The acting member ({ level, permissions }).
+ * @param {object} updates - { name?, description?, level?, permissions? }
+ * @returns {Promise<object>} The updated role.
+ */
+const updateRole = async (roleId, organizationId, actor, { name, description, level, permissions }) => {
+  const role = await findManageableRole(roleId, organizationId, actor);
+  validateRoleInput({ name, level, permissions }, actor);
+
+  const data = {};
+  if (name !== undefined && name.trim() !== role.name) {
+    if (role.isSystem) {
+      throw new Error('Default roles cannot be renamed.');
+    }
+    const existing = await getRoleByName(organizationId, name.trim());
+    if (existing) {
+      throw new Error('A role with this name already exists.');
+    }
+    data.name = name.trim();
+  }
+  if (description !== undefined) data.description = description;
+  if (level !== undefined) data.level = level;
+  if (permissions !== undefined) data.permissions = [...new Set(permissions)];
+
+  if (Object.keys(data).length === 0) {
+    throw new Error('No valid fields provided for update.');
+  }
+
+  const updatedRole = await prisma.$transaction(async (tx) => {
+    const updated = await tx.role.update({ where: { id: role.id }, data });
+    if (data.name) {
+      await tx.membership.updateMany({ where: { organizationId, role: role.name }, data: { role: data.name } });
+      await tx.invitation.updateMany({ where: { organizationId, role: role.name, status: 'PENDING' }, data: { role: data.name } });
+    }
+    return updated;
+  });
+
+  // Members of this role may have cached permissions
+  membershipService.invalidateOrganization(organizationId);
+  return updatedRole;
+};
+
+/**
+ * Deletes a custom role that no member holds.
+ * @param {string} roleId - The ID of the role.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {object} actor - The acting member ({ level, permissions }).
+ * @returns {Promise<void>}
+ */
+const deleteRole = async (roleId, organizationId, actor) => {
+  const role = await findManageableRole(roleId, organizationId, actor);
+  if (role.isSystem) {
+    throw new Error('Default roles cannot be deleted.');
+  }
+
+  const [memberCount, invitationCount] = await Promise.all([
+    prisma.membership.count({ where: { organizationId, role: role.name } }),
+    prisma.invitation.count({ where: { organizationId, role: role.name, status: 'PENDING' } }),
+  ]);
+  if (memberCount > 0 || invitationCount > 0) {
+    throw new Error('This role is still assigned to members or pending invitations.');
+  }
+
+  await prisma.role.delete({ where: { id: role.id } });
+};
+
+/**
+ * @returns {Array<object>} The permission catalog ({ key, description }).
+ */
+const getPermissionCatalog = () => {
+  return Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+};
+
+module.exports = {
+  seedDefaultRoles,
+  getRoles,
+  getRoleByName,
+  getRoleLevel,
+  createRole,
+  updateRole,
+  deleteRole,
+  getPermissionCatalog,
+};
@@ -0,0 +1,264 @@
+// src/services/sessionService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const {
+  REFRESH_TOKEN_TTL_DAYS,
+  generateToken,
+  generateOpaqueToken,
+  hashToken,
+} = require('../utils/tokenUtils');
+
+// Impersonation sessions cannot be refreshed, so they end when their only access token expires
+const IMPERSONATION_TTL_MINUTES = 15;
+const MAX_USER_AGENT_LENGTH = 512;
+
+const getRefreshExpiryDate = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return expiresAt;
+};
+
+/**
+ * Creates a new server-side session and issues its first access/refresh token pair.
+ * @param {string} userId - The ID of the user logging in.
+ * @param {string} organizationId - The organization the session is scoped to.
+ * @param {string} role - The user's role in that organization.
+ * @param {object} [options]
+ * @param {boolean} [options.twoFactorVerified=false] - Whether a second factor was verified at login.
+ * @param {string} [options.ip] - The IP address the user logged in from.
+ * @param {string} [options.userAgent] - The User-Agent of the logging-in client.
+ * @returns {Promise<object>} { token, refreshToken, sessionId }
+ */
+const createSession = async (userId, organizationId, role, { twoFactorVerified = false, ip = null, userAgent = null } = {}) => {
+  const refreshToken = generateOpaqueToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      organizationId,
+      twoFactorVerified,
+      ip,
+      userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: getRefreshExpiryDate(),
+      lastUsedAt: new Date(),
+    },
+  });
+
+  return {
+    token: generateToken(userId, organizationId, role, session.id),
+    refreshToken,
+    sessionId: session.id,
+  };
+};
+
+/**
+ * Creates a short-lived session in which a SUPER_ADMIN acts as another member ("view as user").
+ * No refresh token is handed out; the session expires together with its access token.
+ * @param {string} impersonatorId - The ID of the SUPER_ADMIN.
+ * @param {string} userId - The ID of the impersonated user.
+ * @param {string} organizationId - The organization the session is scoped to.
+ * @param {string} role - The impersonated user's role in that organization.
+ * @param {object} [options]
+ * @param {boolean} [options.twoFactorVerified=false] - Whether the impersonator's own session passed 2FA.
+ * @returns {Promise<object>} { token, sessionId, expiresAt }
+ */
+const createImpersonationSession = async (impersonatorId, userId, organizationId, role, { twoFactorVerified = false } = {}) => {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      organizationId,
+      impersonatorId,
+      twoFactorVerified,
+      refreshTokenHash: hashToken(generateOpaqueToken()), // never returned, so it cannot be used
+      expiresAt,
+      lastUsedAt: new Date(),
+    },
+  });
+
+  return {
+    token: generateToken(userId, organizationId, role, session.id, impersonatorId),
+    sessionId: session.id,
+    expiresAt,
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * The presented refresh token is rotated: it cannot be used again.
+ * Presenting an already-rotated token again means it leaked (or was replayed), so the session is revoked.
+ * The role is re-read from the membership so role changes apply on refresh.
+ * @param {string} refreshToken - The refresh token issued at login or on the previous refresh.
+ * @returns {Promise<object>} { token, refreshToken }
+ */
+const refreshSession = async (refreshToken) => {
+  const refreshTokenHash = hashToken(refreshToken);
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash },
+  });
+
+  if (!session) {
+    const rotatedSession = await prisma.session.findUnique({
+      where: { previousRefreshTokenHash: refreshTokenHash },
+      select: { id: true },
+    });
+    if (rotatedSession) {
+      await revokeSession(rotatedSession.id);
+    }
+    throw new Error('Invalid refresh token.');
+  }
+  if (session.revokedAt || session.expiresAt < new Date() || session.impersonatorId) {
+    throw new Error('Refresh token has expired or was revoked.');
+  }
+
+  const membership = await prisma.membership.findUnique({
+    where: { userId_organizationId: { userId: session.userId, organizationId: session.organizationId } },
+  });
+  if (!membership) {
+    await revokeSession(session.id);
+    throw new Error('Invalid refresh token.');
+  }
+
+  // Only one request can rotate a given refresh token; a parallel one finds it already replaced
+  const newRefreshToken = generateOpaqueToken();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(newRefreshToken),
+      previousRefreshTokenHash: refreshTokenHash,
+      expiresAt: getRefreshExpiryDate(),
+      lastUsedAt: new Date(),
+    },
+  });
+  if (count === 0) {
+    await revokeSession(session.id);
+    throw new Error('Invalid refresh token.');
+  }
+
+  return {
+    token: generateToken(session.userId, session.organizationId, membership.role, session.id),
+    refreshToken: newRefreshToken,
+  };
+};
+
+/**
+ * Moves an existing session to another organization and issues an access token scoped to it.
+ * Subsequent refreshes of this session keep using the new organization.
+ * @param {string} sessionId - The ID of the current session.
+ * @param {string} userId - The ID of the session owner.
+ * @param {string} organizationId - The organization to switch to.
+ * @param {string} role - The user's role in that organization.
+ * @returns {Promise<string>} The new access token.
+ */
+const switchSessionOrganization = async (sessionId, userId, organizationId, role) => {
+  const result = await prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null, impersonatorId: null },
+    data: { organizationId, lastUsedAt: new Date() },
+  });
+  if (result.count === 0) {
+    throw new Error('Session has expired or was revoked.');
+  }
+  return generateToken(userId, organizationId, role, sessionId);
+};
+
+/**
+ * Loads a session if it can still be used for authentication.
+ * @param {string} sessionId - The ID of the session.
+ * @returns {Promise<object | null>} The session if it exists, is not revoked and has not expired; null otherwise.
+ */
+const getActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { id: true, revokedAt: true, expiresAt: true, twoFactorVerified: true, impersonatorId: true },
+  });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Revokes a single session. Access tokens tied to it stop working immediately.
+ * @param {string} sessionId - The ID of the session to revoke.
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (sessionId) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * Lists the active sessions (logged-in devices) of a user, most recently used first.
+ * Impersonation sessions are not included.
+ * @param {string} userId - The ID of the user.
+ * @param {string} [currentSessionId] - The session making the request, flagged with current: true.
+ * @returns {Promise<Array<object>>}
+ */
+const listUserSessions = async (userId, currentSessionId = null) => {
+  const sessions = await prisma.session.findMany({
+    where: { userId, revokedAt: null, impersonatorId: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      organizationId: true,
+      ip: true,
+      userAgent: true,
+      twoFactorVerified: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+  return sessions.map(session => ({ ...session, current: session.id === currentSessionId }));
+};
+
+/**
+ * Revokes one of the user's own sessions (e.g. a lost device).
+ * @param {string} userId - The ID of the session owner.
+ * @param {string} sessionId - The ID of the session to revoke.
+ * @returns {Promise<void>}
+ */
+const revokeUserSession = async (userId, sessionId) => {
+  const result = await prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null, impersonatorId: null },
+    data: { revokedAt: new Date() },
+  });
+  if (result.count === 0) {
+    throw new Error('Session not found.');
+  }
+};
+
+/**
+ * Revokes all active sessions of a user ("log out everywhere").
+ * @param {string} userId - The ID of the user.
+ * @param {string} [exceptSessionId] - Optional session to keep active (e.g. the current one).
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.id = { not: exceptSessionId };
+  }
+  const result = await prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date() },
+  });
+  return result.count;
+};
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  refreshSession,
+  switchSessionOrganization,
+  getActiveSession,
+  revokeSession,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,92 @@
+// src/services/smsService.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SMS delivery is pluggable. The transport is picked by the SMS_TRANSPORT env variable:
+ * - 'twilio'  : real delivery (requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER)
+ * - 'console' : prints the message to the server log (local development)
+ * - 'file'    : appends the message to SMS_OUTBOX_FILE (local testing)
+ * Defaults to 'twilio' in production and 'console' elsewhere.
+ */
+
+const twilioTransport = {
+  name: 'twilio',
+  send: async (to, body) => {
+    const client = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    await client.messages.create({
+      body,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to,
+    });
+  },
+};
+
+const consoleTransport = {
+  name: 'console',
+  send: async (to, body) => {
+    console.log('--- SMS ---');
+    console.log(`To: ${to}`);
+    console.log(body);
+    console.log('-----------');
+  },
+};
+
+const fileTransport = {
+  name: 'file',
+  send: async (to, body) => {
+    const outboxFile = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'sms-outbox.log');
+    const line = JSON.stringify({ to, body, sentAt: new Date().toISOString() }) + '\n';
+    await fs.promises.appendFile(outboxFile, line);
+  },
+};
+
+const transports = {
+  twilio: twilioTransport,
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const defaultName = process.env.NODE_ENV === 'production' ? 'twilio' : 'console';
+  const name = process.env.SMS_TRANSPORT || defaultName;
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown SMS transport "${name}".`);
+  }
+  activeTransport = transport;
+  return activeTransport;
+};
+
+/**
+ * Replaces the SMS transport (e.g. for tests or another provider).
+ * @param {{ name: string, send: function(string, string): Promise<void> }} transport
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Sends an SMS through the configured transport.
+ * @param {string} to - Recipient phone number.
+ * @param {string} body - Message text.
+ * @returns {Promise<void>}
+ */
+const sendSms = async (to, body) => {
+  const transport = getTransport();
+  try {
+    await transport.send(to, body);
+  } catch (error) {
+    console.error(`Error sending SMS to ${to} via ${transport.name}:`, error);
+    throw new Error('Failed to send SMS.');
+  }
+};
+
+module.exports = {
+  sendSms,
+  setTransport,
+};
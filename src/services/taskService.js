@@ -2,6 +2,14 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const notificationService = require('./notificationService'); // ייבוא שירות ההתראות
+const projectService = require('./projectService');
+const milestoneService = require('./milestoneService');
+const projectMemberService = require('./projectMemberService');
+const activityService = require('./activityService');
+
+const { ACTIVITY_TYPES } = activityService;
+// Task fields whose changes are recorded in the project activity stream
+const TRACKED_TASK_FIELDS = ['title', 'description', 'status', 'startDate', 'endDate', 'expense', 'color'];
 
 
 
@@ -21,7 +29,7 @@ const getTasksForProject = async (projectId, organizationId, { page = 1, limit =
 
   // Verify project exists within the organization
   const project = await prisma.project.findUnique({
-    where: { id: projectId, organizationId },
+    where: { id: projectId, organizationId, deletedAt: null },
   });
 
   if (!project) {
@@ -29,7 +37,7 @@ const getTasksForProject = async (projectId, organizationId, { page = 1, limit =
   }
 
   const tasks = await prisma.task.findMany({
-    where: { projectId },
+    where: { projectId, deletedAt: null },
     skip: offset,
     take: limit,
     orderBy: {
@@ -73,7 +81,7 @@ const getTasksForProject = async (projectId, organizationId, { page = 1, limit =
   });
 
   const totalTasks = await prisma.task.count({
-    where: { projectId },
+    where: { projectId, deletedAt: null },
   });
 
   const totalPages = Math.ceil(totalTasks / limit);
@@ -98,9 +106,10 @@ const getTasksForProject = async (projectId, organizationId, { page = 1, limit =
  * @param {string} taskData.endDate   // NOW REQUIRED
  * @param {number} [taskData.expense]
  * @param {string} taskData.color
+ * @param {string} [actorId] - The ID of the user creating the task (for the activity stream).
  * @returns {Promise<object>} The newly created task.
  */
-const createTask = async (projectId, organizationId, { title, description, assigneesIds = [], startDate, endDate, expense, color }) => {
+const createTask = async (projectId, organizationId, { title, description, assigneesIds = [], startDate, endDate, expense, color }, actorId = null) => {
   // Validate required fields (startDate, endDate now mandatory)
   if (!startDate || !endDate) {
       throw new Error('כדי ליצור את המשימה, צריך להזין תאריך התחלה וסיום.');
@@ -108,7 +117,7 @@ const createTask = async (projectId, organizationId, { title, description, assig
 
   // Verify project exists within the organization
   const project = await prisma.project.findUnique({
-    where: { id: projectId, organizationId },
+    where: { id: projectId, organizationId, deletedAt: null },
   });
 
   if (!project) {
@@ -167,11 +176,23 @@ const createTask = async (projectId, organizationId, { title, description, assig
         }
       },
       comments: { // Include empty comments array for new task
-          include: { author: true }
+          include: { author: { select: { id: true, fullName: true, profilePictureUrl: true } } }
       }
     }
   });
 
+  // Keep the stored project status / completion / health in sync with its tasks
+  await projectService.refreshProjectHealth(projectId);
+
+  await activityService.recordActivity({
+    projectId,
+    organizationId,
+    actorId,
+    type: ACTIVITY_TYPES.TASK_CREATED,
+    taskId: newTask.id,
+    data: { title: newTask.title, assigneesIds: newTask.assignees.map(a => a.user.id) },
+  });
+
   const formattedTask = {
     ...newTask,
     startDate: newTask.startDate.toISOString().split('T')[0], // Format dates for response
@@ -191,14 +212,14 @@ const createTask = async (projectId, organizationId, { title, description, assig
  * @param {string} projectId - The ID of the parent project.
  * @param {string} organizationId - The ID of the current organization.
  * @param {string} currentUserId - The ID of the user performing the update.
- * @param {string} currentUserRole - The role of the user performing the update in the organization.
+ * @param {string[]} permissions - The permissions of the user's role in the organization.
  * @param {object} updateData - Data to update.
  * @returns {Promise<object>} The updated task.
  */
-const updateTask = async (taskId, projectId, organizationId, currentUserId, currentUserRole, updateData) => {
+const updateTask = async (taskId, projectId, organizationId, currentUserId, permissions, updateData) => {
   // 1. Verify project exists within the organization
   const project = await prisma.project.findUnique({
-    where: { id: projectId, organizationId },
+    where: { id: projectId, organizationId, deletedAt: null },
     include: { projectTeamLeads: true } // Include to check team leadership
   });
 
@@ -208,7 +229,7 @@ const updateTask = async (taskId, projectId, organizationId, currentUserId, curr
 
   // 2. Verify task exists within the project
   const task = await prisma.task.findUnique({
-    where: { id: taskId, projectId },
+    where: { id: taskId, projectId, deletedAt: null },
     include: { assignees: true } // Include assignees to check if current user is an assignee
   });
 
@@ -221,11 +242,15 @@ const updateTask = async (taskId, projectId, organizationId, currentUserId, curr
   const oldAssignees = task.assignees.map(a => a.userId);
 
   // 3. Implement permission logic as per spec:
-  // Assignees can update status, managers can update all.
+  // Assignees and project CONTRIBUTORs can update status, managers can update all, project VIEWERs nothing.
   const isAssignee = task.assignees.some(a => a.userId === currentUserId);
-  // Check if current user is a TEAM_LEADER for THIS specific project
-  const isProjectTeamLeader = project.projectTeamLeads.some(ptl => ptl.userId === currentUserId) && currentUserRole === 'TEAM_LEADER';
-  const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(currentUserRole);
+  const projectRole = await projectMemberService.getProjectRole(projectId, organizationId, currentUserId);
+  // Check if current user leads THIS specific project and may manage its tasks, or is a MANAGER member of it
+  const isProjectTeamLeader = (project.projectTeamLeads.some(ptl => ptl.userId === currentUserId) && permissions.includes('task.manage')) ||
+    projectRole === projectMemberService.PROJECT_ROLES.MANAGER;
+  const isAdmin = permissions.includes('task.edit.any');
+  const isContributor = projectRole === projectMemberService.PROJECT_ROLES.CONTRIBUTOR;
+  const isViewer = projectRole === projectMemberService.PROJECT_ROLES.VIEWER;
 
   const allowedUpdatesForAssignee = ['status'];
   // Added 'displayOrder' to allowedUpdatesForManager and Admin
@@ -286,8 +311,10 @@ const updateTask = async (taskId, projectId, organizationId, currentUserId, curr
           );
       }
     }
-  } else if (isAssignee) {
-    // Assignees can only update status
+  } else if (isViewer) {
+    throw new Error('You only have view permission in this project.');
+  } else if (isAssignee || isContributor) {
+    // Assignees and contributors can only update status
     const restrictedUpdates = Object.keys(updateData).filter(key => !allowedUpdatesForAssignee.includes(key));
     if (restrictedUpdates.length > 0) {
       throw new Error(`אפשר לעדכן כאן רק את הסטטוס, ולא לשנות פרטים אחרים. נסה שוב! ${restrictedUpdates.join(', ')}.`);
@@ -299,7 +326,7 @@ const updateTask = async (taskId, projectId, organizationId, currentUserId, curr
 
   // Perform the task update
   const updatedTask = await prisma.task.update({
-    where: { id: taskId, projectId }, // Ensure task belongs to the project
+    where: { id: taskId, projectId, deletedAt: null }, // Ensure task belongs to the project
     data: {
       ...finalUpdateData,
       startDate: finalUpdateData.startDate ? new Date(finalUpdateData.startDate) : undefined,
@@ -332,7 +359,7 @@ const updateTask = async (taskId, projectId, organizationId, currentUserId, curr
  */
 const getTaskForProject = async (taskId, projectId, organizationId) => {
   const project = await prisma.project.findUnique({
-    where: { id: projectId, organizationId },
+    where: { id: projectId, organizationId, deletedAt: null },
   });
 
   if (!project) {
@@ -340,7 +367,7 @@ const getTaskForProject = async (taskId, projectId, organizationId) => {
   }
 
   const task = await prisma.task.findUnique({
-    where: { id: taskId, projectId },
+    where: { id: taskId, projectId, deletedAt: null },
     include: {
       assignees: {
         include: {
@@ -380,6 +407,34 @@ const getTaskForProject = async (taskId, projectId, organizationId) => {
 };
   
 
+  await projectService.refreshProjectHealth(projectId);
+  await milestoneService.refreshProjectMilestones(projectId);
+
+  const changes = activityService.diffFields(task, updatedTask, TRACKED_TASK_FIELDS);
+  if (Object.keys(changes).length > 0) {
+    await activityService.recordActivity({
+      projectId,
+      organizationId,
+      actorId: currentUserId,
+      type: ACTIVITY_TYPES.TASK_UPDATED,
+      taskId,
+      data: { title: updatedTask.title, changes },
+    });
+  }
+  const newAssigneeIds = updatedTask.assignees.map(a => a.user.id);
+  const addedAssigneeIds = newAssigneeIds.filter(id => !oldAssignees.includes(id));
+  const removedAssigneeIds = oldAssignees.filter(id => !newAssigneeIds.includes(id));
+  if (addedAssigneeIds.length > 0 || removedAssigneeIds.length > 0) {
+    await activityService.recordActivity({
+      projectId,
+      organizationId,
+      actorId: currentUserId,
+      type: ACTIVITY_TYPES.ASSIGNEES_CHANGED,
+      taskId,
+      data: { title: updatedTask.title, added: addedAssigneeIds, removed: removedAssigneeIds },
+    });
+  }
+
   // --- NOTIFICATION: Status Change ---
   if (updatedTask.status !== oldStatus) {
       // Notify all current assignees and project leads about status change
@@ -414,16 +469,18 @@ const getTaskForProject = async (taskId, projectId, organizationId) => {
 };
 
 /**
- * Deletes a task.
+ * Moves a task to the trash. Its comments and assignees are kept, so it can be restored
+ * (see trashService); it is purged permanently after the retention period.
  * @param {string} taskId - The ID of the task to delete.
  * @param {string} projectId - The ID of the parent project.
  * @param {string} organizationId - The ID of the current organization.
+ * @param {string} [actorId] - The ID of the user deleting the task (for the activity stream).
  * @returns {Promise<void>}
  */
-const deleteTask = async (taskId, projectId, organizationId) => {
+const deleteTask = async (taskId, projectId, organizationId, actorId = null) => {
   // Verify project exists within the organization
   const project = await prisma.project.findUnique({
-    where: { id: projectId, organizationId },
+    where: { id: projectId, organizationId, deletedAt: null },
   });
 
   if (!project) {
@@ -431,26 +488,29 @@ const deleteTask = async (taskId, projectId, organizationId) => {
   }
 
   const task = await prisma.task.findUnique({
-    where: { id: taskId, projectId },
+    where: { id: taskId, projectId, deletedAt: null },
   });
 
   if (!task) {
     throw new Error('אופס, המשימה לא נמצאה בפרויקט הזה.');
   }
 
-  // Delete related comments and assignees first using transactions
-  // This is crucial if cascade delete is not fully configured in schema for all relations
-  await prisma.$transaction([
-    prisma.comment.deleteMany({
-      where: { taskId: taskId }
-    }),
-    prisma.taskAssignee.deleteMany({
-      where: { taskId: taskId }
-    }),
-    prisma.task.delete({
-      where: { id: taskId }
-    })
-  ]);
+  await prisma.task.update({
+    where: { id: taskId },
+    data: { deletedAt: new Date(), deletedById: actorId },
+  });
+
+  await projectService.refreshProjectHealth(projectId);
+  await milestoneService.refreshProjectMilestones(projectId);
+
+  await activityService.recordActivity({
+    projectId,
+    organizationId,
+    actorId,
+    type: ACTIVITY_TYPES.TASK_DELETED,
+    taskId,
+    data: { title: task.title },
+  });
 };
 
 /**
@@ -460,12 +520,13 @@ const deleteTask = async (taskId, projectId, organizationId) => {
  * @param {string} organizationId - The ID of the current organization.
  * @param {string} authorId - The ID of the user making the comment.
  * @param {string} content - The comment content.
+ * @param {string[]} [permissions] - The permissions of the author's role in the organization.
  * @returns {Promise<object>} The newly created comment.
  */
-const addCommentToTask = async (taskId, projectId, organizationId, authorId, content) => {
+const addCommentToTask = async (taskId, projectId, organizationId, authorId, content, permissions = []) => {
   // Verify project and task exist within the organization/project
   const project = await prisma.project.findUnique({
-    where: { id: projectId, organizationId },
+    where: { id: projectId, organizationId, deletedAt: null },
     include: { projectTeamLeads: true } // Include to get project leads for notification
   });
 
@@ -474,7 +535,7 @@ const addCommentToTask = async (taskId, projectId, organizationId, authorId, con
   }
 
   const task = await prisma.task.findUnique({
-    where: { id: taskId, projectId },
+    where: { id: taskId, projectId, deletedAt: null },
     include: { assignees: true } // Include assignees for notification
   });
 
@@ -482,6 +543,23 @@ const addCommentToTask = async (taskId, projectId, organizationId, authorId, con
     throw new Error('המשימה לא נמצאה בפרויקט הזה.');
   }
 
+  // Commenting requires access to the project (lead, team or member) unless the role can see or edit every project,
+  // and explicit members need at least the CONTRIBUTOR role (VIEWER members are read only)
+  if (!permissions.includes('task.edit.any')) {
+    if (!permissions.includes('project.view.all')) {
+      const visibleCount = await prisma.project.count({
+        where: { id: projectId, OR: projectMemberService.buildProjectAccessFilter(authorId) },
+      });
+      if (visibleCount === 0) {
+        throw new Error('You do not have permission to comment in this project.');
+      }
+    }
+    const projectRole = await projectMemberService.getProjectRole(projectId, organizationId, authorId);
+    if (projectRole && !projectMemberService.isRoleAtLeast(projectRole, projectMemberService.PROJECT_ROLES.CONTRIBUTOR)) {
+      throw new Error('You only have view permission in this project.');
+    }
+  }
+
   const newComment = await prisma.comment.create({
     data: {
       taskId,
@@ -495,6 +573,15 @@ const addCommentToTask = async (taskId, projectId, organizationId, authorId, con
     }
   });
 
+  await activityService.recordActivity({
+    projectId,
+    organizationId,
+    actorId: authorId,
+    type: ACTIVITY_TYPES.COMMENT_ADDED,
+    taskId,
+    data: { title: task.title, commentId: newComment.id, content: newComment.content },
+  });
+
   // --- NOTIFICATION: New Comment ---
   // Notify all current assignees and project leads about the new comment
   const usersToNotify = [
@@ -526,7 +613,7 @@ const addCommentToTask = async (taskId, projectId, organizationId, authorId, con
 const reorderTasks = async (projectId, organizationId, taskIdsInOrder) => {
     // Verify project exists within the organization
     const project = await prisma.project.findUnique({
-        where: { id: projectId, organizationId },
+        where: { id: projectId, organizationId, deletedAt: null },
     });
 
     if (!project) {
@@ -537,7 +624,8 @@ const reorderTasks = async (projectId, organizationId, taskIdsInOrder) => {
     const existingTasks = await prisma.task.findMany({
         where: {
             id: { in: taskIdsInOrder },
-            projectId: projectId
+            projectId: projectId,
+            deletedAt: null
         },
         select: { id: true }
     });
@@ -566,7 +654,7 @@ const reorderTasks = async (projectId, organizationId, taskIdsInOrder) => {
  */
 const getTaskForProject = async (taskId, projectId, organizationId) => {
   const project = await prisma.project.findUnique({
-    where: { id: projectId, organizationId },
+    where: { id: projectId, organizationId, deletedAt: null },
   });
 
   if (!project) {
@@ -574,7 +662,7 @@ const getTaskForProject = async (taskId, projectId, organizationId) => {
   }
 
   const task = await prisma.task.findUnique({
-    where: { id: taskId, projectId },
+    where: { id: taskId, projectId, deletedAt: null },
     include: {
       assignees: {
         include: {
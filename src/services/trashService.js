@@ -0,0 +1,153 @@
+// src/services/trashService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { addDays } = require('../utils/dateUtils');
+const projectService = require('./projectService');
+const milestoneService = require('./milestoneService');
+const activityService = require('./activityService');
+
+// כמה ימים פריטים נשארים בסל המחזור לפני מחיקה סופית
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const withDeletedBy = async (items) => {
+    const userIds = [...new Set(items.map(item => item.deletedById).filter(Boolean))];
+    const users = await prisma.user.findMany({
+        where: { id: { in: userIds } },
+        select: { id: true, fullName: true },
+    });
+    const userById = Object.fromEntries(users.map(user => [user.id, user]));
+    return items.map(item => ({
+        ...item,
+        deletedBy: userById[item.deletedById] || null,
+        purgeAt: addDays(item.deletedAt, TRASH_RETENTION_DAYS),
+    }));
+};
+
+/**
+ * Lists the projects and tasks of an organization that are in the trash, most recently deleted first.
+ * Tasks of a project that is itself in the trash are not listed separately; restoring the project brings them back.
+ * @param {string} organizationId - The ID of the organization.
+ * @returns {Promise<object>} { projects, tasks, retentionDays } (each item has deletedAt, deletedBy and purgeAt).
+ */
+const getTrash = async (organizationId) => {
+    const [projects, tasks] = await Promise.all([
+        prisma.project.findMany({
+            where: { organizationId, deletedAt: { not: null } },
+            select: { id: true, title: true, isArchived: true, deletedAt: true, deletedById: true },
+            orderBy: { deletedAt: 'desc' },
+        }),
+        prisma.task.findMany({
+            where: { deletedAt: { not: null }, project: { organizationId, deletedAt: null } },
+            select: {
+                id: true,
+                title: true,
+                status: true,
+                deletedAt: true,
+                deletedById: true,
+                project: { select: { id: true, title: true } },
+            },
+            orderBy: { deletedAt: 'desc' },
+        }),
+    ]);
+
+    return {
+        projects: await withDeletedBy(projects),
+        tasks: await withDeletedBy(tasks),
+        retentionDays: TRASH_RETENTION_DAYS,
+    };
+};
+
+/**
+ * Restores a project from the trash, with all its tasks, budgets and finance entries.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} [actorId] - The ID of the user restoring the project.
+ * @returns {Promise<object>} { id, title }
+ */
+const restoreProject = async (projectId, organizationId, actorId = null) => {
+    const project = await prisma.project.findFirst({
+        where: { id: projectId, organizationId, deletedAt: { not: null } },
+        select: { id: true },
+    });
+    if (!project) {
+        throw new Error('Project not found in the trash.');
+    }
+
+    const restored = await prisma.project.update({
+        where: { id: projectId },
+        data: { deletedAt: null, deletedById: null },
+        select: { id: true, title: true },
+    });
+    await projectService.refreshProjectHealth(projectId);
+
+    await activityService.recordActivity({
+        projectId,
+        organizationId,
+        actorId,
+        type: activityService.ACTIVITY_TYPES.PROJECT_RESTORED,
+    });
+    return restored;
+};
+
+/**
+ * Restores a task from the trash, with its comments and assignees.
+ * @param {string} taskId - The ID of the task.
+ * @param {string} organizationId - The ID of the organization.
+ * @param {string} [actorId] - The ID of the user restoring the task.
+ * @returns {Promise<object>} { id, title, projectId }
+ */
+const restoreTask = async (taskId, organizationId, actorId = null) => {
+    const task = await prisma.task.findFirst({
+        where: { id: taskId, deletedAt: { not: null }, project: { organizationId } },
+        select: { id: true, projectId: true, project: { select: { deletedAt: true } } },
+    });
+    if (!task) {
+        throw new Error('Task not found in the trash.');
+    }
+    if (task.project.deletedAt) {
+        throw new Error('The project of this task is in the trash. Restore the project first.');
+    }
+
+    const restored = await prisma.task.update({
+        where: { id: taskId },
+        data: { deletedAt: null, deletedById: null },
+        select: { id: true, title: true, projectId: true },
+    });
+    await projectService.refreshProjectHealth(task.projectId);
+    await milestoneService.refreshProjectMilestones(task.projectId);
+
+    await activityService.recordActivity({
+        projectId: task.projectId,
+        organizationId,
+        actorId,
+        type: activityService.ACTIVITY_TYPES.TASK_RESTORED,
+        taskId,
+        data: { title: restored.title },
+    });
+    return restored;
+};
+
+/**
+ * Permanently deletes projects and tasks that have been in the trash longer than the retention period.
+ * Comments, assignees, budgets and the rest of their data are deleted with them (finance entries are kept, unlinked).
+ * @param {number} [retentionDays] - Defaults to TRASH_RETENTION_DAYS (env, 30 days if not set).
+ * @returns {Promise<object>} { projects, tasks } - How many were purged.
+ */
+const purgeExpiredTrash = async (retentionDays = TRASH_RETENTION_DAYS) => {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const [tasks, projects] = await prisma.$transaction([
+        prisma.task.deleteMany({ where: { deletedAt: { lt: cutoff } } }),
+        prisma.project.deleteMany({ where: { deletedAt: { lt: cutoff } } }),
+    ]);
+
+    return { projects: projects.count, tasks: tasks.count };
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    getTrash,
+    restoreProject,
+    restoreTask,
+    purgeExpiredTrash,
+};
@@ -0,0 +1,251 @@
+// src/services/twoFactorService.js
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { authenticator } = require('otplib');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { hashToken } = require('../utils/tokenUtils');
+const { getLockoutEnd } = require('../utils/loginThrottle');
+
+const TOTP_ISSUER = 'ProjectFlow';
+const TOTP_STEP_SECONDS = 30;
+const BACKUP_CODES_COUNT = 10;
+// Wrong codes (across login challenges and account settings) before the account is locked
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const TOO_MANY_ATTEMPTS_MESSAGE = 'Too many failed two-factor attempts. Please try again later.';
+
+// Accept one 30-second step of clock drift in either direction
+authenticator.options = { window: 1 };
+
+const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODES_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+const normalizeBackupCode = (code) => String(code).trim().toLowerCase();
+
+/**
+ * Accepts a TOTP code only once: the time step it belongs to must be later than the last accepted one.
+ * The conditional update makes two requests with the same code race for a single success.
+ * @param {object} user - The user record (must include twoFactorSecret).
+ * @param {string} code - The code entered by the user.
+ * @returns {Promise<boolean>} True if the code is valid and was not used before.
+ */
+const consumeTotpCode = async (user, code) => {
+  const delta = authenticator.checkDelta(String(code).trim(), user.twoFactorSecret);
+  if (delta === null) {
+    return false;
+  }
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }],
+    },
+    data: { twoFactorLastUsedStep: step },
+  });
+  return count === 1;
+};
+
+/**
+ * Records a wrong 2FA code for the account. Every MAX_TWO_FACTOR_ATTEMPTS wrong codes the pending
+ * login challenge is revoked and the account is locked. The counter is not reset by a password login,
+ * so a new challenge does not grant more attempts.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<void>}
+ */
+const registerFailedTwoFactorAttempt = async (userId) => {
+  const { twoFactorFailedAttempts } = await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorFailedAttempts: { increment: 1 } },
+    select: { twoFactorFailedAttempts: true },
+  });
+
+  if (twoFactorFailedAttempts % MAX_TWO_FACTOR_ATTEMPTS === 0) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorChallengeHash: null,
+        lockedUntil: getLockoutEnd(twoFactorFailedAttempts / MAX_TWO_FACTOR_ATTEMPTS),
+      },
+    });
+  }
+};
+
+const isLocked = (user) => !!user.lockedUntil && user.lockedUntil > new Date();
+
+/**
+ * Starts 2FA enrollment: generates a new TOTP secret for the user.
+ * The secret is stored but 2FA stays disabled until a code is confirmed via enableTwoFactor.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} { secret, otpauthUrl } to be shown as a QR code in the client.
+ */
+const setupTwoFactor = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User not found.');
+  }
+  if (user.twoFactorEnabled) {
+    throw new Error('Two-factor authentication is already enabled.');
+  }
+
+  const secret = authenticator.generateSecret();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorSecret: secret },
+  });
+
+  return {
+    secret,
+    otpauthUrl: authenticator.keyuri(user.email, TOTP_ISSUER, secret),
+  };
+};
+
+/**
+ * Completes enrollment by confirming a code from the authenticator app.
+ * The current session is marked as 2FA-verified, since the user just proved possession.
+ * @param {string} userId - The ID of the user.
+ * @param {string} sessionId - The ID of the current session.
+ * @param {string} code - A TOTP code generated from the pending secret.
+ * @returns {Promise<object>} { backupCodes } - shown to the user once.
+ */
+const enableTwoFactor = async (userId, sessionId, code) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User not found.');
+  }
+  if (user.twoFactorEnabled) {
+    throw new Error('Two-factor authentication is already enabled.');
+  }
+  if (!user.twoFactorSecret) {
+    throw new Error('Two-factor setup has not been started.');
+  }
+  if (!authenticator.verify({ token: String(code), secret: user.twoFactorSecret })) {
+    throw new Error('Invalid two-factor code.');
+  }
+
+  const backupCodes = generateBackupCodes();
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorBackupCodes: backupCodes.map(c => hashToken(c)),
+      },
+    }),
+    prisma.session.update({
+      where: { id: sessionId },
+      data: { twoFactorVerified: true },
+    }),
+  ]);
+
+  return { backupCodes };
+};
+
+/**
+ * Verifies a second-factor code for a user with 2FA enabled.
+ * Accepts either a TOTP code that was not used before or an unused backup code (which is then consumed).
+ * @param {object} user - The user record (must include twoFactorSecret and twoFactorBackupCodes).
+ * @param {string} code - The code entered by the user.
+ * @returns {Promise<boolean>} True if the code is valid.
+ */
+const verifyTwoFactorCode = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+    return false;
+  }
+
+  if (await consumeTotpCode(user, code)) {
+    return true;
+  }
+
+  const backupCodes = user.twoFactorBackupCodes || [];
+  const codeHash = hashToken(normalizeBackupCode(code));
+  if (!backupCodes.includes(codeHash)) {
+    return false;
+  }
+
+  // Only if the list is still the one we read: two requests cannot both spend the same code
+  // (or put back a code spent in parallel)
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, twoFactorBackupCodes: { equals: backupCodes } },
+    data: { twoFactorBackupCodes: backupCodes.filter(h => h !== codeHash) },
+  });
+  return count === 1;
+};
+
+/**
+ * Disables 2FA. Requires both the account password and a valid code.
+ * @param {string} userId - The ID of the user.
+ * @param {string} password - The user's current password.
+ * @param {string} code - A TOTP or backup code.
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (userId, password, code) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User not found.');
+  }
+  if (!user.twoFactorEnabled) {
+    throw new Error('Two-factor authentication is not enabled.');
+  }
+  if (isLocked(user)) {
+    throw new Error(TOO_MANY_ATTEMPTS_MESSAGE);
+  }
+
+  const validPassword = await bcrypt.compare(password, user.password);
+  if (!validPassword || !(await verifyTwoFactorCode(user, code))) {
+    await registerFailedTwoFactorAttempt(userId);
+    throw new Error('Invalid password or two-factor code.');
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorBackupCodes: [],
+      twoFactorFailedAttempts: 0,
+    },
+  });
+};
+
+/**
+ * Replaces the user's backup codes with a fresh set.
+ * @param {string} userId - The ID of the user.
+ * @param {string} code - A valid TOTP code.
+ * @returns {Promise<object>} { backupCodes }
+ */
+const regenerateBackupCodes = async (userId, code) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user || !user.twoFactorEnabled) {
+    throw new Error('Two-factor authentication is not enabled.');
+  }
+  if (isLocked(user)) {
+    throw new Error(TOO_MANY_ATTEMPTS_MESSAGE);
+  }
+  if (!(await consumeTotpCode(user, code))) {
+    await registerFailedTwoFactorAttempt(userId);
+    throw new Error('Invalid two-factor code.');
+  }
+
+  const backupCodes = generateBackupCodes();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorBackupCodes: backupCodes.map(c => hashToken(c)), twoFactorFailedAttempts: 0 },
+  });
+
+  return { backupCodes };
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  registerFailedTwoFactorAttempt,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
@@ -3,14 +3,11 @@ const bcrypt = require('bcrypt'); // Make sure this is at the top
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { generateOtp, sendOtp } = require('../utils/otpUtils');
+const membershipService = require('./membershipService');
+const roleService = require('./roleService');
 
-// Helper for role hierarchy check (Higher role index means higher privilege)
-const ROLE_HIERARCHY = {
-  'EMPLOYEE': 0,
-  'TEAM_LEADER': 1,
-  'ADMIN': 2,
-  'SUPER_ADMIN': 3,
-};
+// Public profile fields of a user - never return whole user rows (password hash, 2FA secrets)
+const userSelect = { id: true, fullName: true, email: true, profilePictureUrl: true, jobTitle: true };
 
 /**
  * Hebrew error messages
@@ -49,22 +46,19 @@ function isValidEmail(email) {
 
 /**
  * Retrieves a list of all user memberships in the current organization, with pagination and sorting.
- * 💡 FIX: Added userId and userRole parameters for filtering.
- */
-const getAllUserMembershipsInOrg = async (organizationId, userId, userRole, { page = 1, limit = 25, sortBy = 'createdAt', sortOrder = 'desc' }) => {
+ * 💡 FIX: Added userId and permissions parameters for filtering.
+ */
+const getAllUserMembershipsInOrg = async (organizationId, userId, permissions, { page = 1, limit = 25, sortBy = 'createdAt', sortOrder = 'desc' }) => {
   const offset = (page - 1) * limit;
 
-  // 💡 Conditional filtering based on user role
-  const whereClause = {
-    organizationId: organizationId,
-  };
+  // 💡 Conditional filtering based on the role's permissions
+  const whereClause = {
+    organizationId: organizationId,
+  };
 
-  // If the user is an employee, they can only see themselves.
-  // If the user is a team leader, they can see their team members and themselves.
-  // Admins and Super Admins see everyone.
-  if (userRole === 'EMPLOYEE') {
-    whereClause.userId = userId;
-  } else if (userRole === 'TEAM_LEADER') {
+  // With 'user.view' the user sees everyone.
+  // Otherwise they see themselves and the members of teams they lead.
+  if (!permissions.includes('user.view')) {
     const userTeams = await prisma.team.findMany({
       where: {
         organizationId: organizationId,
@@ -84,7 +78,7 @@ const getAllUserMembershipsInOrg = async (organizationId, userId, userRole, { pa
 
     whereClause.userId = { in: allowedUserIds };
   }
-  // Admins and Super Admins get all memberships (no extra where clause)
+  // Roles with 'user.view' get all memberships (no extra where clause)
 
   const memberships = await prisma.membership.findMany({
     where: whereClause,
@@ -111,84 +105,6 @@ const getAllUserMembershipsInOrg = async (organizationId, userId, userRole, { pa
 };
 
 
-/**
- * Invites a new user to the organization. If user doesn't exist, creates them.
- * Automatically sends an OTP to their phone.
- * @returns {Promise<object>} The newly created or updated user object (as a Membership).
- */
-const inviteUser = async (organizationId, { fullName, phone, jobTitle, email, role, password }) => {
-    // 1. Basic validation
-    if (!ROLE_HIERARCHY.hasOwnProperty(role)) {
-        throw new Error("Invalid role");
-    }
-    if (!email || !isValidEmail(email)) {
-        throw new Error("Email format is invalid.");
-    }
-
-    // 2. Check if a user with this email already exists
-    const existingUser = await prisma.user.findUnique({ where: { email } });
-
-    if (existingUser) {
-        // --- Case A: User already exists in the system ---
-        
-        // Check if they are already a member of the current organization
-        const membership = await prisma.membership.findUnique({
-            where: { userId_organizationId: { userId: existingUser.id, organizationId } }
-        });
-
-        if (membership) {
-            // If so, throw an error
-            throw new Error("User is already a member of this organization.");
-        } else {
-            // If not, just add the existing user to the organization.
-            // Important: We do not touch their password.
-            return prisma.membership.create({
-                data: {
-                    userId: existingUser.id,
-                    organizationId,
-                    role,
-                },
-                include: { user: true, organization: true }
-            });
-        }
-    } else {
-        // --- Case B: The user is completely new ---
-
-        // Check that the password is valid
-        if (!password || password.length < 6) {
-            throw new Error("Password must be at least 6 characters.");
-        }        
-
-        // Hash the password before saving
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
-
-        // Create the user and their membership in a single transaction
-        const newMembership = await prisma.$transaction(async (tx) => {
-            const newUser = await tx.user.create({
-                data: {
-                    fullName,
-                    phone,
-                    jobTitle,
-                    email,
-                    password: hashedPassword, // Store the hashed password
-                },
-            });
-            return tx.membership.create({
-                data: {
-                    userId: newUser.id,
-                    organizationId,
-                    role,
-                },
-                include: { user: true, organization: true }
-            });
-        });
-
-        // No need for OTP anymore as we've set a password
-        return newMembership;
-    }
-};
-
 /**
  * Updates a user's role within an organization.
  */
@@ -198,24 +114,28 @@ const updateUserRoleInOrg = async (targetUserId, organizationId, currentUserId,
   }
   const targetMembership = await prisma.membership.findUnique({
     where: { userId_organizationId: { userId: targetUserId, organizationId } },
-    include: { user: true, organization: true }
+    include: { user: { select: userSelect }, organization: true }
   });
   if (!targetMembership) {
     throw new Error(translateError("Target user not found in this organization."));
   }
-  const targetUserRole = targetMembership.role;
-  if (!ROLE_HIERARCHY.hasOwnProperty(newRole)) {
-    throw new Error(translateError("Invalid role"));
-  }
-  if (ROLE_HIERARCHY[currentUserRole] <= ROLE_HIERARCHY[targetUserRole] ||
-      ROLE_HIERARCHY[currentUserRole] <= ROLE_HIERARCHY[newRole]) {
+  const targetUserRole = targetMembership.role;
+  const newRoleRecord = await roleService.getRoleByName(organizationId, newRole);
+  if (!newRoleRecord) {
+    throw new Error(translateError("Invalid role"));
+  }
+  // Roles are compared by level: you can only manage members and assign roles below your own
+  const currentUserLevel = await roleService.getRoleLevel(organizationId, currentUserRole);
+  const targetUserLevel = await roleService.getRoleLevel(organizationId, targetUserRole);
+  if (currentUserLevel <= targetUserLevel || currentUserLevel <= newRoleRecord.level) {
     throw new Error(translateError("You do not have sufficient permissions to modify this user's role."));
   }
   const updatedMembership = await prisma.membership.update({
     where: { userId_organizationId: { userId: targetUserId, organizationId } },
     data: { role: newRole },
-    include: { user: true, organization: true }
+    include: { user: { select: userSelect }, organization: true }
   });
+  membershipService.invalidateMembership(targetUserId, organizationId);
   return updatedMembership;
 };
 
@@ -232,17 +152,23 @@ const removeUserFromOrg = async (targetUserId, organizationId, currentUserId, cu
   if (!targetMembership) {
     throw new Error(translateError("Target user not found in this organization."));
   }
-  const targetUserRole = targetMembership.role;
-  if (ROLE_HIERARCHY[currentUserRole] <= ROLE_HIERARCHY[targetUserRole]) {
+  const currentUserLevel = await roleService.getRoleLevel(organizationId, currentUserRole);
+  const targetUserLevel = await roleService.getRoleLevel(organizationId, targetMembership.role);
+  if (currentUserLevel <= targetUserLevel) {
     throw new Error(translateError("You do not have sufficient permissions to remove a user with an equal or higher role."));
   }
   await prisma.$transaction(async (tx) => {
     // ... (like your code, deleting related rows)
+    // Direct project memberships in this organization
+    await tx.projectMember.deleteMany({
+      where: { userId: targetUserId, project: { organizationId } },
+    });
     // Deleting the membership itself
     await tx.membership.delete({
       where: { userId_organizationId: { userId: targetUserId, organizationId } },
     });
   });
+  membershipService.invalidateMembership(targetUserId, organizationId);
 };
 
 /* ---------- Edit email for existing user ---------- */
@@ -269,11 +195,12 @@ const updateUserEmail = async (targetUserId, organizationId, email, currentUserI
   if (userByEmail && userByEmail.id !== targetUserId) {
     throw new Error(translateError("Email is already in use."));
   }
-  // Update email
-  const updatedUser = await prisma.user.update({
-    where: { id: targetUserId },
-    data: { email },
-  });
+  // Update email - the new address has not been verified by its owner
+  const updatedUser = await prisma.user.update({
+    where: { id: targetUserId },
+    data: { email, emailVerifiedAt: email === targetUser.email ? targetUser.emailVerifiedAt : null },
+    select: { ...userSelect, emailVerifiedAt: true },
+  });
   return updatedUser;
 };
 
@@ -305,6 +232,26 @@ const updateUserPassword = async (targetUserId, organizationId, newPassword, cur
   });
 };
 
+/* ---------- Unlock an account locked after failed logins ---------- */
+const unlockUserAccount = async (targetUserId, organizationId, currentUserRole) => {
+  const targetMembership = await prisma.membership.findUnique({
+    where: { userId_organizationId: { userId: targetUserId, organizationId } },
+  });
+  if (!targetMembership) {
+    throw new Error("Target user not found in this organization.");
+  }
+  // As with role changes, only members with a role below your own can be unlocked
+  const currentUserLevel = await roleService.getRoleLevel(organizationId, currentUserRole);
+  const targetUserLevel = await roleService.getRoleLevel(organizationId, targetMembership.role);
+  if (currentUserLevel <= targetUserLevel) {
+    throw new Error("You do not have sufficient permissions to unlock this user.");
+  }
+  await prisma.user.update({
+    where: { id: targetUserId },
+    data: { failedLoginAttempts: 0, lockedUntil: null },
+  });
+};
+
 /* --- Teams --- */
 const getAllTeams = async (organizationId, { page = 1, limit = 25, sortBy = 'createdAt', sortOrder = 'desc' }) => {
   const offset = (page - 1) * limit;
@@ -319,8 +266,8 @@ const getAllTeams = async (organizationId, { page = 1, limit = 25, sortBy = 'cre
     take: limit,
     orderBy: { [sortBy]: sortOrder },
     include: {
-      teamLeads: { include: { user: true } },
-      teamMembers: { include: { user: true } }
+      teamLeads: { include: { user: { select: userSelect } } },
+      teamMembers: { include: { user: { select: userSelect } } }
     }
   });
 
@@ -365,8 +312,8 @@ const createTeam = async (organizationId, { name, leadIds, memberIds }) => {
       teamMembers: { create: (memberIds || []).map(userId => ({ userId })) }
     },
     include: {
-      teamLeads: { include: { user: true } },
-      teamMembers: { include: { user: true } }
+      teamLeads: { include: { user: { select: userSelect } } },
+      teamMembers: { include: { user: { select: userSelect } } }
     }
   });
   const formattedTeam = {
@@ -425,8 +372,8 @@ const updateTeam = async (teamId, organizationId, updateData) => {
   const updatedTeam = await prisma.team.findUnique({
     where: { id: teamId },
     include: {
-      teamLeads: { include: { user: true } },
-      teamMembers: { include: { user: true } }
+      teamLeads: { include: { user: { select: userSelect } } },
+      teamMembers: { include: { user: { select: userSelect } } }
     }
   });
   const formattedTeam = {
@@ -457,10 +404,10 @@ const deleteTeam = async (teamId, organizationId) => {
 
 module.exports = {
   getAllUserMembershipsInOrg,
-  inviteUser,
   updateUserRoleInOrg,
   removeUserFromOrg,
   updateUserEmail,
+  unlockUserAccount,
   updateUserPassword,
   getAllTeams,
   createTeam,
@@ -0,0 +1,95 @@
+// src/services/userTokenService.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { generateOpaqueToken, hashToken } = require('../utils/tokenUtils');
+
+/**
+ * Single-use, expiring tokens sent to users by email (password reset links etc.).
+ * Only the token hash is stored; the plain token exists only in the link.
+ */
+const USER_TOKEN_TYPES = {
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  EMAIL_CHANGE: 'EMAIL_CHANGE',
+  EMAIL_VERIFICATION: 'EMAIL_VERIFICATION',
+};
+
+/**
+ * Issues a new token of the given type for a user.
+ * Any earlier unused token of the same type is invalidated.
+ * @param {string} userId - The ID of the user.
+ * @param {string} type - One of USER_TOKEN_TYPES.
+ * @param {number} ttlMinutes - How long the token stays valid.
+ * @param {object} [options]
+ * @param {string} [options.email] - Email address the token applies to (e.g. the new address for EMAIL_CHANGE).
+ * @returns {Promise<string>} The plain token (to be sent to the user).
+ */
+const issueToken = async (userId, type, ttlMinutes, { email = null } = {}) => {
+  const token = generateOpaqueToken();
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        email,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+/**
+ * Validates a token and marks it as used.
+ * @param {string} token - The plain token received from the user.
+ * @param {string} type - The expected token type.
+ * @returns {Promise<object>} The consumed token record (includes userId).
+ */
+const consumeToken = async (token, type) => {
+  const record = await prisma.userToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!record || record.type !== type || record.usedAt || record.expiresAt < new Date()) {
+    throw new Error('Invalid or expired token.');
+  }
+
+  // Guard against the same token being used twice concurrently
+  const result = await prisma.userToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  if (result.count === 0) {
+    throw new Error('Invalid or expired token.');
+  }
+
+  return record;
+};
+
+/**
+ * Returns when the most recent token of a type was issued to a user (used for resend cooldowns).
+ * @param {string} userId - The ID of the user.
+ * @param {string} type - One of USER_TOKEN_TYPES.
+ * @returns {Promise<Date | null>} The creation time of the latest token, or null if none was issued.
+ */
+const getLastIssuedAt = async (userId, type) => {
+  const latest = await prisma.userToken.findFirst({
+    where: { userId, type },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
+  });
+  return latest ? latest.createdAt : null;
+};
+
+module.exports = {
+  USER_TOKEN_TYPES,
+  issueToken,
+  consumeToken,
+  getLastIssuedAt,
+};
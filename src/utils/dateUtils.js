@@ -0,0 +1,67 @@
+// src/utils/dateUtils.js
+// Project and task dates are calendar dates (@db.Date), so all arithmetic is done in UTC days
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// "Today" is the calendar date in the organization's time zone (the daily jobs run at midnight there)
+const APP_TIME_ZONE = process.env.APP_TIME_ZONE || 'Asia/Jerusalem';
+
+/**
+ * Parses a 'YYYY-MM-DD' string (or Date) into a Date at UTC midnight.
+ * @param {string | Date} value - The date to parse.
+ * @returns {Date | null} The date, or null if the value is not a valid date.
+ */
+const toDateOnly = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * @param {Date} [now] - The current time.
+ * @returns {Date} Today's calendar date in APP_TIME_ZONE, at UTC midnight (comparable with stored dates).
+ */
+const getToday = (now = new Date()) => {
+    // en-CA formats dates as YYYY-MM-DD
+    return toDateOnly(new Intl.DateTimeFormat('en-CA', { timeZone: APP_TIME_ZONE }).format(now));
+};
+
+/**
+ * @param {Date} date - A date.
+ * @param {number} days - Number of days to add (may be negative).
+ * @returns {Date} A new date, `days` calendar days later.
+ */
+const addDays = (date, days) => {
+    const result = new Date(date.getTime());
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+};
+
+/**
+ * @param {Date} from - The earlier date.
+ * @param {Date} to - The later date.
+ * @returns {number} Whole calendar days between the two dates (negative if `to` is before `from`).
+ */
+const diffInDays = (from, to) => {
+    return Math.round((toDateOnly(to).getTime() - toDateOnly(from).getTime()) / MS_PER_DAY);
+};
+
+/**
+ * @param {number} year - A year.
+ * @param {number} month - A month (1-12).
+ * @param {number} months - Number of months to add (may be negative).
+ * @returns {{ year: number, month: number }} The shifted year and month.
+ */
+const addMonths = (year, month, months) => {
+    const index = year * 12 + (month - 1) + months;
+    return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+};
+
+module.exports = {
+    APP_TIME_ZONE,
+    toDateOnly,
+    getToday,
+    addDays,
+    diffInDays,
+    addMonths,
+};
@@ -0,0 +1,86 @@
+// src/utils/loginThrottle.js
+
+// Per-IP failed login tracking, kept in memory.
+// Each failure within the window adds a growing delay before the next login response,
+// and after MAX_FAILURES_PER_IP the IP is blocked until the window passes.
+// Per-account lockout is persisted on the User row (see authService.loginWithEmail).
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_IP = 20;
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 5000;
+const LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const failuresByIp = new Map();
+
+const getEntry = (ip) => {
+  const entry = failuresByIp.get(ip);
+  if (!entry) return null;
+  if (entry.windowStart + FAILURE_WINDOW_MS < Date.now()) {
+    failuresByIp.delete(ip);
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Records a failed login attempt from an IP.
+ * @param {string} ip - The client IP.
+ */
+const recordFailure = (ip) => {
+  const entry = getEntry(ip);
+  if (entry) {
+    entry.count += 1;
+  } else {
+    failuresByIp.set(ip, { count: 1, windowStart: Date.now() });
+  }
+};
+
+/**
+ * @param {string} ip - The client IP.
+ * @returns {boolean} True if the IP has too many recent failures and must wait.
+ */
+const isBlocked = (ip) => {
+  const entry = getEntry(ip);
+  return !!entry && entry.count >= MAX_FAILURES_PER_IP;
+};
+
+/**
+ * Waits before handling a login attempt, proportionally to the IP's recent failures
+ * (250ms, 500ms, 1s, 2s ... up to 5s).
+ * @param {string} ip - The client IP.
+ * @returns {Promise<void>}
+ */
+const applyDelay = async (ip) => {
+  const entry = getEntry(ip);
+  if (!entry) return;
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (entry.count - 1), MAX_DELAY_MS);
+  await new Promise(resolve => setTimeout(resolve, delay));
+};
+
+/**
+ * End of a per-account lockout: 15 minutes, doubled on every further lockout, up to 24 hours.
+ * @param {number} lockoutCount - How many times the account has been locked (1 for the first lockout).
+ * @returns {Date}
+ */
+const getLockoutEnd = (lockoutCount) => {
+  const lockoutMinutes = Math.min(LOCKOUT_MINUTES * 2 ** (lockoutCount - 1), MAX_LOCKOUT_MINUTES);
+  return new Date(Date.now() + lockoutMinutes * 60 * 1000);
+};
+
+// Periodically drop expired entries so the map does not grow unbounded
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, entry] of failuresByIp) {
+    if (entry.windowStart + FAILURE_WINDOW_MS < now) {
+      failuresByIp.delete(ip);
+    }
+  }
+}, FAILURE_WINDOW_MS).unref();
+
+module.exports = {
+  recordFailure,
+  isBlocked,
+  applyDelay,
+  getLockoutEnd,
+};
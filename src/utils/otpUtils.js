@@ -1,63 +1,62 @@
-// // src/utils/otpUtils.js
-// const otpGenerator = require('otp-generator');
+// src/utils/otpUtils.js
+const crypto = require('crypto');
+const otpGenerator = require('otp-generator');
+const { sendSms } = require('../services/smsService');
 
-// // ביישום אמיתי, OTPs צריכים להיות מאוחסנים במסד נתונים עם תוקף
-// // לצורך הדגמה, נדפיס אותם לקונסול
+// OTPs are stored only as an HMAC of the phone number and code, keyed with a server secret,
+// so a leaked database row cannot be brute-forced offline.
+const getOtpSecret = () => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('OTP_SECRET is not defined in environment variables');
+  }
+  return secret;
+};
 
-// /**
-//  * Generates a numeric OTP code.
-//  * @returns {string} The generated OTP code.
-//  */
-// const generateOtp = () => {
-//   return otpGenerator.generate(6, { digits: true, alphabets: false, upperCaseAlphabets: false, specialChars: false });
-// };
+/**
+ * Generates a numeric OTP code.
+ * @returns {string} The generated OTP code.
+ */
+const generateOtp = () => {
+  return otpGenerator.generate(6, { digits: true, lowerCaseAlphabets: false, upperCaseAlphabets: false, specialChars: false });
+};
 
-// /**
-//  * Simulates sending an OTP to a phone number.
-//  * In a real application, this would integrate with an SMS service like Twilio.
-//  * @param {string} phone - The recipient phone number.
-//  * @param {string} otpCode - The OTP code to send.
-//  * @returns {Promise<void>}
-//  */
-// // const sendOtp = async (phone, otpCode) => {
-// //   console.log(`--- Sending OTP ---`);
-// //   console.log(`To: ${phone}`);
-// //   console.log(`OTP Code: ${otpCode}`);
-// //   console.log(`-------------------`);
-//   // TODO: Integrate with a real SMS service like Twilio here
-//   // Example with Twilio (requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER in .env)
+/**
+ * Hashes an OTP code for storage.
+ * @param {string} phone - The phone number the code was sent to.
+ * @param {string} otpCode - The plain OTP code.
+ * @returns {string} The hashed code.
+ */
+const hashOtp = (phone, otpCode) => {
+  return crypto.createHmac('sha256', getOtpSecret()).update(`${phone}:${otpCode}`).digest('hex');
+};
 
-// const sendOtp = async (phone, otpCode) => {
-// const client = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-//   try {
-//     await client.messages.create({
-//       body: `Your ProjectFlow OTP is: ${otpCode}`,
-//       from: process.env.TWILIO_PHONE_NUMBER,
-//       to: phone
-//     });
-//     console.log(`OTP sent successfully to ${phone}`);
-//   } catch (error) {
-//     console.error(`Error sending OTP to ${phone}:`, error);
-//     throw new Error('Failed to send OTP.');
-//   }
-// };
+/**
+ * Sends an OTP code to a phone number through the configured SMS transport.
+ * @param {string} phone - The recipient phone number.
+ * @param {string} otpCode - The OTP code to send.
+ * @returns {Promise<void>}
+ */
+const sendOtp = async (phone, otpCode) => {
+  await sendSms(phone, `Your ProjectFlow OTP is: ${otpCode}`);
+};
 
-// /**
-//  * Simulates OTP storage and verification.
-//  * In a real application, this would involve a database lookup for stored OTPs.
-//  * @param {string} phone - The phone number.
-//  * @param {string} otpCode - The OTP code entered by the user.
-//  * @param {string} storedOtp - The OTP code previously stored/sent for this phone.
-//  * @returns {boolean} True if the OTP is valid, false otherwise.
-//  */
-// const verifyOtp = (otpCode, storedOtp) => {
-//   // In a real scenario, you'd fetch the stored OTP for the phone number from a database,
-//   // check its expiry, and then compare.
-//   return otpCode === storedOtp;
-// };
+/**
+ * Compares an entered OTP code against the stored hash.
+ * @param {string} phone - The phone number.
+ * @param {string} otpCode - The OTP code entered by the user.
+ * @param {string} storedHash - The hash stored when the code was sent.
+ * @returns {boolean} True if the OTP matches, false otherwise.
+ */
+const verifyOtp = (phone, otpCode, storedHash) => {
+  const enteredHash = Buffer.from(hashOtp(phone, String(otpCode)), 'hex');
+  const expectedHash = Buffer.from(storedHash, 'hex');
+  return enteredHash.length === expectedHash.length && crypto.timingSafeEqual(enteredHash, expectedHash);
+};
 
-// module.exports = {
-//   generateOtp,
-//   sendOtp,
-//   verifyOtp,
-// };
\ No newline at end of file
+module.exports = {
+  generateOtp,
+  hashOtp,
+  sendOtp,
+  verifyOtp,
+};
@@ -0,0 +1,70 @@
+// src/utils/permissions.js
+
+/**
+ * Catalog of permissions that roles can be built from.
+ * Routes check these with requirePermission(...) instead of role names.
+ */
+const PERMISSIONS = {
+  'project.view.all': 'View all projects (otherwise only projects you lead, your teams work on or you are a member of)',
+  'project.create': 'Create projects',
+  'project.edit': 'Edit and archive projects',
+  'project.delete': 'Delete projects',
+  'task.manage': 'Create, delete and reorder tasks; fully edit tasks in projects you lead',
+  'task.edit.any': 'Fully edit any task in the organization',
+  'task.comment': 'Comment on tasks',
+  'finance.view': 'View finance summaries and entries',
+  'finance.edit': 'Create, edit and delete finance entries and reset project finances',
+  'finance.export': 'Export finance reports as PDF',
+  'user.view': 'View all members of the organization (otherwise yourself and members of teams you lead)',
+  'user.invite': 'Invite users and manage invitations',
+  'user.manage': 'Change roles, remove members and manage their accounts',
+  'team.manage': 'Create, edit and delete teams',
+  'role.manage': 'Create, edit and delete roles',
+  'organization.manage': 'Edit organization settings and create new organizations',
+  'organization.delete': 'Delete the organization',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Roles seeded into every organization. Keep in sync with the seed in the add_roles migration.
+const DEFAULT_ROLES = [
+  {
+    name: 'SUPER_ADMIN',
+    description: 'Full access to the organization',
+    level: 100,
+    permissions: ALL_PERMISSIONS,
+  },
+  {
+    name: 'ADMIN',
+    description: 'Manages projects, finances, users and teams',
+    level: 75,
+    permissions: ALL_PERMISSIONS.filter(p => !['role.manage', 'organization.manage', 'organization.delete'].includes(p)),
+  },
+  {
+    name: 'TEAM_LEADER',
+    description: 'Leads projects and manages their tasks',
+    level: 50,
+    permissions: ['project.edit', 'task.manage', 'task.comment', 'finance.export'],
+  },
+  {
+    name: 'EMPLOYEE',
+    description: 'Works on assigned tasks',
+    level: 10,
+    permissions: ['task.comment'],
+  },
+];
+
+// The organization owner role: cannot be deleted, renamed or have its permissions reduced
+const OWNER_ROLE = 'SUPER_ADMIN';
+
+// Roles holding any of these permissions must pass 2FA when the organization requires it for admins
+// (including the destructive project and finance actions, e.g. deleting a project or resetting its finances)
+const PRIVILEGED_PERMISSIONS = ['user.manage', 'role.manage', 'organization.manage', 'organization.delete', 'finance.edit', 'project.delete'];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  OWNER_ROLE,
+  PRIVILEGED_PERMISSIONS,
+};
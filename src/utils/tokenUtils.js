@@ -1,21 +1,31 @@
 // src/utils/tokenUtils.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = '1d'; // Token expires in 1 day
+const JWT_EXPIRES_IN = '15m'; // Access tokens are short-lived; clients renew them with a refresh token
+const REFRESH_TOKEN_TTL_DAYS = 30;
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
 
 /**
  * Generates a JSON Web Token (JWT) for a user.
  * @param {string} userId - The ID of the user.
  * @param {string} organizationId - The ID of the currently selected organization.
  * @param {string} role - The role of the user in the selected organization.
+ * @param {string} sessionId - The ID of the server-side session the token belongs to.
+ * @param {string} [impersonatorId] - Set on impersonation tokens: the SUPER_ADMIN acting as this user.
  * @returns {string} The generated JWT.
  */
-const generateToken = (userId, organizationId, role) => {
+const generateToken = (userId, organizationId, role, sessionId, impersonatorId = null) => {
   if (!JWT_SECRET) {
     throw new Error('JWT_SECRET is not defined in environment variables');
   }
-  return jwt.sign({ userId, organizationId, role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  const payload = { userId, organizationId, role, sessionId };
+  if (impersonatorId) {
+    payload.impersonatorId = impersonatorId;
+  }
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 };
 
 /**
@@ -34,7 +44,58 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Generates a short-lived token proving the first login step (password/OTP) succeeded.
+ * It is exchanged for real tokens once the second factor is verified, and cannot be used
+ * as an access token (authenticateToken rejects it because it has no session).
+ * @param {string} userId - The ID of the user.
+ * @param {string} challengeId - Random ID of the challenge; its hash is stored on the user so the challenge can be revoked.
+ * @returns {string} The challenge token.
+ */
+const generateTwoFactorChallengeToken = (userId, challengeId) => {
+  if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+  return jwt.sign({ userId, challengeId, purpose: TWO_FACTOR_CHALLENGE_PURPOSE }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN });
+};
+
+/**
+ * Verifies a 2FA challenge token.
+ * @param {string} token - The challenge token.
+ * @returns {object | null} { userId, challengeId } if valid, null otherwise.
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE || !decoded.challengeId) {
+    return null;
+  }
+  return { userId: decoded.userId, challengeId: decoded.challengeId };
+};
+
+/**
+ * Generates an opaque random token (refresh tokens, emailed one-time links).
+ * Only its hash is ever stored in the database.
+ * @returns {string} The generated token.
+ */
+const generateOpaqueToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Hashes an opaque token for storage and lookup.
+ * @param {string} token - The plain token.
+ * @returns {string} SHA-256 hex digest of the token.
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
   generateToken,
   verifyToken,
-};
\ No newline at end of file
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  generateOpaqueToken,
+  hashToken,
+};
@@ -5,8 +5,7 @@ const inviteUserSchema = Joi.object({
   phone: Joi.string().min(9).max(20).required(),
   email: Joi.string().email().required(),
   jobTitle: Joi.string().allow('', null),
-  role: Joi.string().valid('SUPER_ADMIN', 'ADMIN', 'TEAM_LEADER', 'EMPLOYEE').required(),
-  password: Joi.string().min(6).required(), // <-- השורה החדשה והחשובה
+  role: Joi.string().required(), // must be a role of the organization (checked by the service)
 });
 
 const updateUserEmailSchema = Joi.object({